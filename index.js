@@ -5,8 +5,8 @@
  * 变量操作语法参考：Minecraft 指令 + JSON Patch (RFC 6902)
  */
 
-import { extension_settings, getContext, loadExtensionSettings } from "../../../extensions.js";
-import { saveSettingsDebounced } from "../../../../script.js";
+import { extension_settings, getContext, loadExtensionSettings, saveMetadataDebounced, writeExtensionField } from "../../../extensions.js";
+import { saveSettingsDebounced, saveChatDebounced, eventSource, event_types } from "../../../../script.js";
 
 // 扩展基本信息
 const extensionName = "EasyDynamicPrompts";
@@ -19,6 +19,8 @@ const defaultSettings = {
     updateMode: 'streaming', // 'streaming' | 'background'
     templateSyntax: 'handlebars', // 'handlebars' | 'simple'
     debugMode: false,
+    numberPrecision: 6, // 数值运算结果保留的小数位数
+    rerollOnSwipe: false, // 滑动生成新回复时重新掷骰
 };
 
 // ==================== 工具函数 ====================
@@ -27,49 +29,308 @@ const defaultSettings = {
  * 深拷贝对象
  */
 function deepClone(obj) {
+    if (obj === undefined) return undefined;
     return JSON.parse(JSON.stringify(obj));
 }
 
 /**
- * 路径解析器 - 支持点号和 JSON Pointer 格式
+ * 路径切片段，如 日志[-5:]（只读）
+ */
+class PathSlice {
+    constructor(start, end) {
+        this.start = start;
+        this.end = end;
+    }
+    
+    apply(value) {
+        return Array.isArray(value) || typeof value === 'string' ? value.slice(this.start, this.end) : undefined;
+    }
+    
+    toString() {
+        return `${this.start ?? ''}:${this.end ?? ''}`;
+    }
+}
+
+/**
+ * 路径过滤段，如 背包[?名称=="治疗药水"]，按元素内容选择数组元素
+ * 支持 == != > >= < <=，省略比较时检查字段是否为真
+ */
+class PathFilter {
+    constructor(source, field, operator, value) {
+        this.source = source;
+        this.field = field;
+        this.operator = operator;
+        this.value = value;
+    }
+    
+    /**
+     * 解析过滤表达式（不含方括号，以 ? 开头）
+     * @returns {PathFilter|null}
+     */
+    static parse(text) {
+        const source = text.slice(1).trim();
+        const match = source.match(/^(?:@\.)?([^=!<>\s]+)\s*(?:(==|!=|>=|<=|>|<)\s*(.+))?$/);
+        if (!match) return null;
+        const [, field, operator = null, raw] = match;
+        let value = raw?.trim();
+        if (value !== undefined) {
+            const quoted = value.match(/^(["'])(.*)\1$/);
+            if (quoted) {
+                value = quoted[2];
+            } else {
+                try {
+                    value = JSON.parse(value);
+                } catch {
+                    // 未加引号的文本按字符串比较
+                }
+            }
+        }
+        return new PathFilter(source, PathParser.parse(field), operator, value);
+    }
+    
+    /**
+     * 返回数组中满足条件的元素下标
+     * @param {Array} array - 数组
+     * @param {function} read - (元素, 键数组) => 字段值
+     */
+    select(array, read) {
+        if (!Array.isArray(array)) return [];
+        const indices = [];
+        array.forEach((item, index) => {
+            if (this.test(read(item, this.field))) indices.push(index);
+        });
+        return indices;
+    }
+    
+    test(actual) {
+        switch (this.operator) {
+            case '==': return actual === this.value;
+            case '!=': return actual !== this.value;
+            case '>': return actual > this.value;
+            case '>=': return actual >= this.value;
+            case '<': return actual < this.value;
+            case '<=': return actual <= this.value;
+            default: return Boolean(actual);
+        }
+    }
+    
+    toString() {
+        return `?${this.source}`;
+    }
+}
+
+/**
+ * 路径解析器 - 支持点号、方括号和 JSON Pointer 格式
+ * 路径可带作用域前缀，如 global:设置.难度
+ * 数组索引可以为负数（-1 为最后一个元素），切片如 日志[-5:] 只能读取
  */
 class PathParser {
+    /** 作用域名称（按查找优先级从高到低） */
+    static SCOPES = ['temp', 'chat', 'character', 'global'];
+    
+    /** 作用域别名 */
+    static SCOPE_ALIASES = { message: 'temp' };
+    
+    /**
+     * 拆分作用域前缀
+     * @param {string} path - 路径字符串
+     * @returns {{ scope: string|null, path: string }} 无前缀时 scope 为 null
+     */
+    static splitScope(path) {
+        if (typeof path !== 'string') return { scope: null, path };
+        const match = path.match(/^([a-z]+):(.*)$/);
+        if (match) {
+            const scope = this.SCOPE_ALIASES[match[1]] || match[1];
+            if (this.SCOPES.includes(scope)) {
+                return { scope, path: match[2] };
+            }
+        }
+        return { scope: null, path };
+    }
+    
     /**
      * 解析路径为键数组
      * @param {string} path - 路径字符串
      * @returns {Array<string|number>} 键数组
      */
     static parse(path) {
+        if (Array.isArray(path)) return path;
+        if (!path) return [];
+        path = this.splitScope(path).path;
         if (!path) return [];
         
         // JSON Pointer 格式 (/a/b/0)
         if (path.startsWith('/')) {
-            return path.slice(1).split('/').map(key => {
-                if (key === '-') return '-';
-                const num = parseInt(key);
-                return isNaN(num) ? key : num;
-            });
+            return path.slice(1).split('/').map(key => this._toKey(key.replace(/~1/g, '/').replace(/~0/g, '~')));
         }
         
-        // 点号格式 (a.b.0 或 a.b[0])
-        return path
-            .replace(/\[(\d+)\]/g, '.$1')
-            .replace(/\[\-\]/g, '.-')
-            .split('.')
-            .filter(Boolean)
-            .map(key => {
-                if (key === '-') return '-';
-                const num = parseInt(key);
-                return isNaN(num) ? key : num;
-            });
+        return this._tokenize(path);
+    }
+    
+    /**
+     * 拆分点号/方括号格式：a.b.0、a.b[0]、a[-1]、a["含.的键"]、a[-5:]，结尾的 /- 表示数组末尾
+     */
+    static _tokenize(path) {
+        const keys = [];
+        let token = '';
+        const flush = () => {
+            if (token) keys.push(this._toKey(token));
+            token = '';
+        };
+        
+        for (let i = 0; i < path.length; i++) {
+            const ch = path[i];
+            if (ch === '.') {
+                flush();
+            } else if (ch === '[') {
+                const quote = path[i + 1];
+                if (quote === '"' || quote === "'") {
+                    const close = path.indexOf(`${quote}]`, i + 2);
+                    if (close === -1) {
+                        token += ch;
+                        continue;
+                    }
+                    flush();
+                    keys.push(path.slice(i + 2, close));
+                    i = close + 1;
+                } else {
+                    const close = quote === '?' ? this._findFilterEnd(path, i + 2) : path.indexOf(']', i);
+                    if (close === -1) {
+                        token += ch;
+                        continue;
+                    }
+                    flush();
+                    keys.push(this._bracketKey(path.slice(i + 1, close).trim()));
+                    i = close;
+                }
+            } else if (ch === '/' && path.slice(i) === '/-') {
+                flush();
+                keys.push('-');
+                break;
+            } else {
+                token += ch;
+            }
+        }
+        flush();
+        return keys;
+    }
+    
+    /**
+     * 查找过滤表达式的右方括号（跳过引号内的内容）
+     */
+    static _findFilterEnd(path, start) {
+        let quote = null;
+        for (let i = start; i < path.length; i++) {
+            const ch = path[i];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === ']') {
+                return i;
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * 将点号或 JSON Pointer 路径段转换为键：整数（可为负）转为数字，其余为字符串（如 10:30）
+     */
+    static _toKey(token) {
+        if (token === '-') return '-';
+        if (/^-?\d+$/.test(token)) return Number(token);
+        return token;
+    }
+    
+    /**
+     * 将不带引号的方括号内容转换为键：a:b 转为切片，?条件 转为过滤，其余同 _toKey
+     */
+    static _bracketKey(token) {
+        if (token.startsWith('?')) return PathFilter.parse(token) ?? token;
+        const slice = token.match(/^(-?\d+)?:(-?\d+)?$/);
+        if (slice) {
+            return new PathSlice(slice[1] === undefined ? undefined : Number(slice[1]), slice[2] === undefined ? undefined : Number(slice[2]));
+        }
+        return this._toKey(token);
+    }
+    
+    /**
+     * 路径中是否含有通配段（* 或 **）
+     */
+    static hasWildcard(path) {
+        return this.parse(path).some(key => key === '*' || key === '**');
+    }
+    
+    /**
+     * 路径中是否含有过滤段
+     */
+    static hasFilter(path) {
+        return this.parse(path).some(key => key instanceof PathFilter);
+    }
+    
+    /**
+     * 路径中是否含有切片（切片只能读取）
+     */
+    static hasSlice(path) {
+        return this.parse(path).some(key => key instanceof PathSlice);
     }
     
     /**
      * 标准化路径为点号格式
      */
     static normalize(path) {
-        const keys = this.parse(path);
-        return keys.map(k => typeof k === 'number' ? `[${k}]` : k).join('.').replace(/\.\[/g, '[');
+        return this.format(this.parse(path), this.splitScope(path).scope);
+    }
+    
+    /**
+     * 将键数组格式化为点号格式路径
+     * @param {Array} keys - 键数组
+     * @param {string|null} scope - 作用域，非 chat 时加前缀
+     */
+    static format(keys, scope = null) {
+        const normalized = keys.map(k => {
+            if (typeof k === 'number' || k instanceof PathSlice || k instanceof PathFilter) return `[${k}]`;
+            // 含特殊字符或会被解析为索引的键加引号
+            return /[.[\]/]/.test(k) || (k !== '-' && typeof this._toKey(k) !== 'string') ? `["${k}"]` : k;
+        }).join('.').replace(/\.\[/g, '[');
+        return scope && scope !== 'chat' ? `${scope}:${normalized}` : normalized;
+    }
+    
+    /**
+     * 判断路径是否匹配通配模式（* 匹配一级，** 匹配任意多级）
+     * 模式不带作用域前缀时匹配任意作用域
+     * @param {string} pattern - 模式，如 队伍.*.HP
+     * @param {string} path - 具体路径
+     */
+    static matchPattern(pattern, path) {
+        const patternScope = this.splitScope(pattern).scope;
+        const pathScope = this.splitScope(path).scope || 'chat';
+        if (patternScope && patternScope !== pathScope) return false;
+        
+        const p = this.parse(pattern);
+        const k = this.parse(path);
+        const match = (i, j) => {
+            if (i === p.length) return j === k.length;
+            if (p[i] === '**') {
+                for (let n = j; n <= k.length; n++) {
+                    if (match(i + 1, n)) return true;
+                }
+                return false;
+            }
+            if (j === k.length) return false;
+            if (p[i] !== '*' && String(p[i]) !== String(k[j])) return false;
+            return match(i + 1, j + 1);
+        };
+        return match(0, 0);
+    }
+    
+    /**
+     * 将键数组转换为 JSON Pointer
+     * @param {Array<string|number>} keys - 键数组
+     * @returns {string} JSON Pointer 字符串
+     */
+    static toPointer(keys) {
+        return keys.map(k => '/' + String(k).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
     }
 }
 
@@ -86,24 +347,27 @@ class ConditionEvaluator {
     /**
      * 评估条件
      * @param {object} condition - 条件对象
+     * @param {object} locals - 局部值，path 为其中的键时优先使用（如规则中的 $new、$old）
+     * @param {function} read - 读取 path 的值，默认读取变量（按数组元素筛选时读取元素字段）
      * @returns {boolean} 条件结果
      */
-    evaluate(condition) {
+    evaluate(condition, locals = {}, read = (path) => this.vm.get(path)) {
         if (!condition) return true;
         
         // 逻辑组合
         if (condition.and) {
-            return condition.and.every(c => this.evaluate(c));
+            return condition.and.every(c => this.evaluate(c, locals, read));
         }
         if (condition.or) {
-            return condition.or.some(c => this.evaluate(c));
+            return condition.or.some(c => this.evaluate(c, locals, read));
         }
         if (condition.not) {
-            return !this.evaluate(condition.not);
+            return !this.evaluate(condition.not, locals, read);
         }
         
         // 简单条件
-        const value = this.vm.get(condition.path);
+        const value = Object.prototype.hasOwnProperty.call(locals, condition.path) ?
+            locals[condition.path] : read(condition.path);
         
         // 存在性检查
         if ('exists' in condition) {
@@ -145,6 +409,14 @@ class ConditionEvaluator {
 /**
  * 模式校验器 - 实现 $meta 保护机制
  * 参考 MVU 的 $meta 设计，保护变量结构
+ *
+ * 字段约束写在父对象的 $meta.fields 中：
+ * {
+ *   HP:   { type: 'number', min: 0, max: 100, clamp: true },  // clamp 为 false 时超出范围直接拒绝
+ *   状态: { type: 'string', enum: ['正常', '昏迷'] },
+ *   名称: { type: 'string', pattern: '^[\\u4e00-\\u9fa5]+$' },
+ *   日志: { type: 'array', maxItems: 50, clamp: true },        // clamp 时只保留最后 maxItems 项
+ * }
  */
 class SchemaValidator {
     constructor(variableManager) {
@@ -174,14 +446,17 @@ class SchemaValidator {
             case 'remove':
                 return this._validateRemove(path, meta);
             case 'move':
-            case 'copy':
-                // 检查源和目标
+            case 'copy': {
+                // 检查源和目标（目标的字段约束在删除源之前检查，失败时不会丢失源值）
                 const fromMeta = this._getMetaForPath(from);
                 if (fromMeta && op === 'move') {
                     const removeCheck = this._validateRemove(from, fromMeta);
                     if (!removeCheck.valid) return removeCheck;
                 }
+                const fieldCheck = this.checkValue(this.vm._resolve(path), this.vm.get(from));
+                if (!fieldCheck.valid) return fieldCheck;
                 return this._validateAddOrReplace(path, this.vm.get(from), meta);
+            }
             default:
                 return { valid: true };
         }
@@ -191,15 +466,16 @@ class SchemaValidator {
      * 获取路径对应的 $meta
      */
     _getMetaForPath(path) {
-        const keys = PathParser.parse(path);
+        const { root, keys } = this.vm._resolve(path);
         if (keys.length === 0) return null;
         
         // 逐级查找 $meta
-        let current = this.vm.statData;
+        let current = root;
         let lastMeta = null;
         
         for (let i = 0; i < keys.length; i++) {
             if (current === undefined || current === null) break;
+            current = this.vm._inner(current);
             
             // 检查当前层级的 $meta
             if (typeof current === 'object' && current.$meta) {
@@ -229,40 +505,23 @@ class SchemaValidator {
      * 校验添加/替换操作
      */
     _validateAddOrReplace(path, value, meta) {
-        const keys = PathParser.parse(path);
+        const target = this.vm._resolve(path);
+        const { root, keys } = target;
         const targetKey = keys[keys.length - 1];
-        const parentPath = keys.slice(0, -1).join('.');
-        const parent = parentPath ? this.vm.get(parentPath) : this.vm.statData;
+        const parentPath = this.pointerOf(target, keys.slice(0, -1));
+        const parent = this.vm._getByPath(root, keys.slice(0, -1));
         
         // 检查是否可扩展
         if (meta.extensible === false) {
             // 检查目标键是否已存在
             if (parent && typeof parent === 'object') {
                 if (!(targetKey in parent)) {
-                    return { valid: false, error: `[Schema] 路径 ${parentPath || 'root'} 不可扩展，不能添加新键 "${targetKey}"` };
-                }
-            }
-        }
-        
-        // 检查必需键（如果是替换整个对象）
-        if (meta.required && typeof value === 'object' && value !== null) {
-            for (const reqKey of meta.required) {
-                if (!(reqKey in value)) {
-                    return { valid: false, error: `[Schema] 缺少必需键 "${reqKey}"` };
+                    return { valid: false, error: `[Schema] ${parentPath} 不可扩展，不能添加新键 "${targetKey}"` };
                 }
             }
         }
         
-        // 如果有模板，检查值的结构是否符合
-        if (meta.template && typeof value === 'object' && value !== null) {
-            const templateKeys = Object.keys(meta.template);
-            for (const tKey of templateKeys) {
-                if (meta.template[tKey] !== null && !(tKey in value)) {
-                    // 模板中非 null 的键必须存在
-                    // 可以选择自动添加或报错
-                }
-            }
-        }
+        // 写入整个对象时的必需键和字段约束由 checkValue 按对象自身的 $meta 检查
         
         return { valid: true };
     }
@@ -271,17 +530,183 @@ class SchemaValidator {
      * 校验删除操作
      */
     _validateRemove(path, meta) {
-        const keys = PathParser.parse(path);
-        const targetKey = keys[keys.length - 1];
+        const target = this.vm._resolve(path);
+        const targetKey = target.keys[target.keys.length - 1];
         
         // 检查是否是必需键
         if (meta.required && meta.required.includes(targetKey)) {
-            return { valid: false, error: `[Schema] 不能删除必需键 "${targetKey}"` };
+            return { valid: false, error: `[Schema] ${this.pointerOf(target)} 是必需键，不能删除` };
         }
         
         return { valid: true };
     }
     
+    /**
+     * 获取字段约束（父对象 $meta.fields 中的对应项）
+     * @param {{ root: object, keys: Array }} target - vm._resolve 的结果
+     */
+    getFieldRule(target) {
+        const { root, keys } = target;
+        if (keys.length === 0) return null;
+        const parent = this.vm._inner(this.vm._getByPath(root, keys.slice(0, -1)));
+        if (!parent || typeof parent !== 'object') return null;
+        return parent.$meta?.fields?.[keys[keys.length - 1]] ?? null;
+    }
+    
+    /**
+     * 按字段约束检查将要写入的值
+     * @param {{ root: object, keys: Array }} target - 写入目标
+     * @param {*} value - 将要写入的值
+     * @returns {{ valid: boolean, value?: any, error?: string }} value 为（可能被限幅后的）最终值
+     */
+    checkValue(target, value) {
+        const rule = this.getFieldRule(target);
+        const pointer = this.pointerOf(target);
+        const check = rule ? SchemaValidator.applyRule(rule, value, pointer) : { valid: true, value };
+        if (!check.valid) return check;
+        return this._checkMembers(check.value, pointer);
+    }
+    
+    /**
+     * 写入整个对象时，按对象自身（及各级子对象）$meta 中的 required 和 fields 检查其成员
+     * @returns {{ valid: boolean, value?: any, error?: string }} value 为成员可能被限幅后的对象
+     */
+    _checkMembers(value, pointer) {
+        if (!SchemaValidator.isType(value, 'object')) return { valid: true, value };
+        const base = pointer === '/' ? '' : pointer;
+        const meta = value.$meta;
+        
+        for (const key of meta?.required || []) {
+            if (value[key] === undefined) {
+                return { valid: false, error: `[Schema] ${base}${PathParser.toPointer([key])} 缺少必需键 "${key}"` };
+            }
+        }
+        
+        let result = value;
+        for (const [key, child] of Object.entries(value)) {
+            if (key === '$meta') continue;
+            const childPointer = base + PathParser.toPointer([key]);
+            const isTuple = this.vm._isTuple(child);
+            const inner = isTuple ? child[0] : child;
+            const rule = meta?.fields?.[key];
+            let check = rule ? SchemaValidator.applyRule(rule, inner, childPointer) : { valid: true, value: inner };
+            if (check.valid) check = this._checkMembers(check.value, childPointer);
+            if (!check.valid) return check;
+            if (check.value !== inner) {
+                if (result === value) result = { ...value };
+                result[key] = isTuple ? [check.value, child[1]] : check.value;
+            }
+        }
+        return { valid: true, value: result };
+    }
+    
+    /**
+     * 整体写入对象时保留原对象（及同名子对象）的 $meta，新值中的 $meta 覆盖同名项
+     * 需要去掉约束时显式删除 $meta 路径
+     * @param {*} current - 原值（可带描述）
+     * @param {*} value - 新值
+     */
+    keepMeta(current, value) {
+        current = this.vm._inner(current);
+        if (!SchemaValidator.isType(current, 'object') || !SchemaValidator.isType(value, 'object')) return value;
+        
+        const result = { ...value };
+        if (current.$meta) result.$meta = { ...current.$meta, ...(value.$meta || {}) };
+        for (const [key, child] of Object.entries(value)) {
+            if (key === '$meta' || current[key] === undefined) continue;
+            if (this.vm._isTuple(child)) {
+                result[key] = [this.keepMeta(current[key], child[0]), child[1]];
+            } else {
+                result[key] = this.keepMeta(current[key], child);
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * 检查数组新增元素后的长度
+     * @param {{ root: object, keys: Array }} target - 数组路径
+     * @param {number} length - 新长度
+     * @returns {{ valid: boolean, trim?: number, error?: string }} trim 为限幅时需要从头部移除的数量
+     */
+    checkLength(target, length) {
+        const rule = this.getFieldRule(target);
+        if (!rule || typeof rule.maxItems !== 'number' || length <= rule.maxItems) return { valid: true, trim: 0 };
+        if (rule.clamp) return { valid: true, trim: length - rule.maxItems };
+        return { valid: false, error: `[Schema] ${this.pointerOf(target)} 最多 ${rule.maxItems} 项` };
+    }
+    
+    /**
+     * 生成错误信息中使用的 JSON Pointer（非聊天作用域带前缀）
+     */
+    pointerOf(target, keys = target.keys) {
+        const pointer = PathParser.toPointer(keys) || '/';
+        return !target.scope || target.scope === 'chat' ? pointer : `${target.scope}:${pointer}`;
+    }
+    
+    /**
+     * 应用单个字段约束
+     */
+    static applyRule(rule, value, path) {
+        const fail = (message) => ({ valid: false, error: `[Schema] ${path} ${message}` });
+        
+        if (value === null || value === undefined) {
+            return rule.nullable || value === undefined ? { valid: true, value } : fail('不能为 null');
+        }
+        
+        if (rule.type) {
+            const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+            if (!types.some(type => SchemaValidator.isType(value, type))) {
+                return fail(`类型应为 ${types.join('|')}，实际为 ${JSON.stringify(value)}`);
+            }
+        }
+        
+        if (Array.isArray(rule.enum) && !rule.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+            return fail(`只能是 ${rule.enum.map(v => JSON.stringify(v)).join(', ')} 之一`);
+        }
+        
+        if (typeof value === 'number') {
+            if (typeof rule.min === 'number' && value < rule.min) {
+                if (!rule.clamp) return fail(`不能小于 ${rule.min}`);
+                value = rule.min;
+            }
+            if (typeof rule.max === 'number' && value > rule.max) {
+                if (!rule.clamp) return fail(`不能大于 ${rule.max}`);
+                value = rule.max;
+            }
+        }
+        
+        if (typeof value === 'string' && rule.pattern) {
+            let regex;
+            try {
+                regex = new RegExp(rule.pattern);
+            } catch {
+                return fail(`的 pattern 无效: ${rule.pattern}`);
+            }
+            if (!regex.test(value)) return fail(`不匹配 ${rule.pattern}`);
+        }
+        
+        if (Array.isArray(value) && typeof rule.maxItems === 'number' && value.length > rule.maxItems) {
+            if (!rule.clamp) return fail(`最多 ${rule.maxItems} 项`);
+            value = value.slice(-rule.maxItems);
+        }
+        
+        return { valid: true, value };
+    }
+    
+    static isType(value, type) {
+        switch (type) {
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'string': return typeof value === 'string';
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'null': return value === null;
+            default: return true;
+        }
+    }
+    
     /**
      * 根据模板创建新对象
      * @param {string} path - 目标路径
@@ -291,7 +716,44 @@ class SchemaValidator {
         const meta = this._getMetaForPath(path);
         if (!meta || !meta.template) return null;
         
-        return deepClone(meta.template);
+        return SchemaValidator.instantiate(meta.template);
+    }
+    
+    /**
+     * 由模板生成实例：模板中为 null 的字段是可选字段，不会被创建
+     */
+    static instantiate(template) {
+        if (template === null || typeof template !== 'object' || Array.isArray(template)) {
+            return deepClone(template);
+        }
+        const instance = {};
+        for (const [key, value] of Object.entries(template)) {
+            if (value === null) continue;
+            instance[key] = key === '$meta' ? deepClone(value) : SchemaValidator.instantiate(value);
+        }
+        return instance;
+    }
+    
+    /**
+     * 由声明的 $meta 创建子对象：带上该 $meta，并填入字段约束中的 default
+     */
+    static fromMeta(meta) {
+        const instance = { $meta: deepClone(meta) };
+        for (const [key, rule] of Object.entries(meta.fields || {})) {
+            if (rule.default !== undefined) instance[key] = deepClone(rule.default);
+        }
+        return instance;
+    }
+    
+    /**
+     * 检查模板实例的必需字段（模板 $meta.required 中列出的字段）
+     * @param {object} template - 模板
+     * @param {object} member - 操作完成后成员将拥有的字段
+     * @returns {string[]} 缺少的字段
+     */
+    static missingRequired(template, member) {
+        const required = template?.$meta?.required || [];
+        return required.filter(key => member[key] === undefined || member[key] === null);
     }
     
     /**
@@ -300,7 +762,12 @@ class SchemaValidator {
      * @param {object} schema - 模式配置
      */
     registerSchema(path, schema) {
-        const target = path ? this.vm.get(path) : this.vm.statData;
+        const { root, keys } = this.vm._resolve(path);
+        if (JsonSchemaConverter.isJsonSchema(schema)) {
+            JsonSchemaConverter.apply(this.vm, root, keys, schema);
+            return;
+        }
+        const target = this.vm._getByPath(root, keys);
         if (target && typeof target === 'object') {
             target.$meta = schema;
         }
@@ -317,78 +784,1832 @@ class SchemaValidator {
     }
 }
 
-// ==================== 表达式计算引擎 ====================
+// ==================== JSON Schema 转换 ====================
 
 /**
- * 计算引擎 - 支持变量间运算 (Minecraft scoreboard operation 风格)
+ * JSON Schema（draft 2020-12）与 $meta 互相转换
+ *
+ * 对应关系：
+ * - properties 中的对象 → 子对象自己的 $meta，同时保存在父对象字段约束的 meta 中，子对象尚不存在时在创建时带上
+ * - properties 中的其他值 → 父对象 $meta.fields 中的字段约束
+ * - required → required
+ * - additionalProperties: false → extensible: false；为模式对象时转为 template
+ * - minimum/maximum/enum/pattern/maxItems/default → 字段约束的 min/max/enum/pattern/maxItems/default
  */
-class CalcEngine {
-    constructor(variableManager) {
-        this.vm = variableManager;
+class JsonSchemaConverter {
+    static DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+    
+    static isJsonSchema(schema) {
+        if (!schema || typeof schema !== 'object') return false;
+        return '$schema' in schema || 'properties' in schema || 'additionalProperties' in schema ||
+            (typeof schema.type === 'string' || Array.isArray(schema.type));
     }
     
     /**
-     * 计算表达式
-     * @param {string} expr - 表达式字符串
-     * @returns {number|null} 计算结果
+     * 将 JSON Schema 应用到指定节点：设置各级 $meta，并为缺失的字段填入默认值
      */
-    evaluate(expr) {
-        try {
-            const resolvedExpr = this._resolveVariables(expr);
-            return this._safeEval(resolvedExpr);
-        } catch (e) {
-            console.warn(`[EDP] 表达式计算失败: ${expr}`, e);
-            return null;
+    static apply(vm, root, keys, schema) {
+        let node = keys.length ? vm._getByPath(root, keys) : root;
+        if (node === undefined && schema.default !== undefined) {
+            node = deepClone(schema.default);
+            vm._setByPath(root, keys, node);
+        }
+        if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+        
+        const meta = { ...(node.$meta?.computed ? { computed: node.$meta.computed } : {}), ...JsonSchemaConverter.toMeta(schema) };
+        node.$meta = meta;
+        
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (!sub || typeof sub !== 'object') continue;
+            if (!(key in node)) {
+                if (sub.default !== undefined) {
+                    node[key] = deepClone(sub.default);
+                } else if (JsonSchemaConverter._types(sub).includes('object') && meta.required?.includes(key)) {
+                    node[key] = {};
+                }
+            }
+            if (node[key] && typeof node[key] === 'object' && !Array.isArray(node[key]) && sub.properties) {
+                JsonSchemaConverter.apply(vm, root, [...keys, key], sub);
+            }
         }
     }
     
-    _resolveVariables(expr) {
-        const varPattern = /([a-zA-Z_\u4e00-\u9fa5][a-zA-Z0-9_.\u4e00-\u9fa5]*)/g;
-        return expr.replace(varPattern, (match) => {
-            if (/^\d+(\.\d+)?$/.test(match)) return match;
-            const value = this.vm.get(match);
-            if (typeof value === 'number') return value;
-            if (value === undefined || value === null) return 0;
-            return value;
-        });
+    /**
+     * 将单层对象模式转换为 $meta
+     */
+    static toMeta(schema) {
+        const meta = {};
+        if (Array.isArray(schema.required) && schema.required.length) meta.required = [...schema.required];
+        
+        const additional = schema.additionalProperties;
+        if (additional === false) {
+            meta.extensible = false;
+        } else if (additional && typeof additional === 'object') {
+            meta.extensible = true;
+            meta.template = JsonSchemaConverter.defaultsOf(additional);
+        }
+        
+        const fields = {};
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            const rule = JsonSchemaConverter.toFieldRule(sub);
+            if (rule) fields[key] = rule;
+        }
+        if (Object.keys(fields).length) meta.fields = fields;
+        return meta;
+    }
+    
+    /**
+     * 将单个属性模式转换为字段约束
+     */
+    static toFieldRule(schema) {
+        if (!schema || typeof schema !== 'object') return null;
+        const rule = {};
+        const types = JsonSchemaConverter._types(schema).filter(type => type !== 'null');
+        if (types.length) rule.type = types.length === 1 ? types[0] : types;
+        if (JsonSchemaConverter._types(schema).includes('null')) rule.nullable = true;
+        if (typeof schema.minimum === 'number') rule.min = schema.minimum;
+        if (typeof schema.maximum === 'number') rule.max = schema.maximum;
+        if (Array.isArray(schema.enum)) rule.enum = deepClone(schema.enum);
+        if ('const' in schema) rule.enum = [deepClone(schema.const)];
+        if (typeof schema.pattern === 'string') rule.pattern = schema.pattern;
+        if (typeof schema.maxItems === 'number') rule.maxItems = schema.maxItems;
+        if (schema.default !== undefined) rule.default = deepClone(schema.default);
+        if (schema.properties || schema.required || schema.additionalProperties !== undefined) {
+            const meta = JsonSchemaConverter.toMeta(schema);
+            if (Object.keys(meta).length) rule.meta = meta;
+        }
+        return Object.keys(rule).length ? rule : null;
+    }
+    
+    /**
+     * 由模式中的 default 生成默认值（对象逐个属性生成，无默认值的属性为 null）
+     */
+    static defaultsOf(schema) {
+        if (schema.default !== undefined) return deepClone(schema.default);
+        if (schema.properties) {
+            const result = {};
+            for (const [key, sub] of Object.entries(schema.properties)) {
+                result[key] = JsonSchemaConverter.defaultsOf(sub);
+            }
+            return result;
+        }
+        const types = JsonSchemaConverter._types(schema);
+        if (types.includes('array')) return [];
+        return null;
+    }
+    
+    /**
+     * 将变量树中声明的 $meta 导出为 JSON Schema
+     * 默认只导出声明的约束，没有声明的变量不出现在结果中；infer 为 true 时按当前值推断其余属性的类型
+     * @param {object} options - { infer: 是否按当前值推断类型 }
+     */
+    static fromValue(value, options = {}, root = true) {
+        const schema = root ? { $schema: JsonSchemaConverter.DIALECT } : {};
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return { ...schema, ...(options.infer ? JsonSchemaConverter._typeOf(value) : {}) };
+        }
+        
+        const meta = value.$meta || {};
+        const fields = meta.fields || {};
+        schema.type = 'object';
+        schema.properties = {};
+        for (const [key, child] of Object.entries(value)) {
+            if (key === '$meta' || key === '$runtime') continue;
+            const sub = child && typeof child === 'object' && !Array.isArray(child) ?
+                JsonSchemaConverter.fromValue(child, options, false) :
+                options.infer ? JsonSchemaConverter._typeOf(child) : {};
+            const property = fields[key] ? JsonSchemaConverter.fromFieldRule(fields[key], sub, options) : sub;
+            if (Object.keys(property).length) schema.properties[key] = property;
+        }
+        for (const [key, rule] of Object.entries(fields)) {
+            if (!(key in schema.properties)) schema.properties[key] = JsonSchemaConverter.fromFieldRule(rule, {}, options);
+        }
+        if (Array.isArray(meta.required) && meta.required.length) schema.required = [...meta.required];
+        if (meta.extensible === false) {
+            schema.additionalProperties = false;
+        } else if (meta.template !== undefined) {
+            const template = meta.template;
+            // 模板本身就是声明，按其中的值推断类型
+            schema.additionalProperties = template !== null && typeof template === 'object' && !Array.isArray(template) ?
+                JsonSchemaConverter.fromValue(template, { ...options, infer: true }, false) :
+                { ...JsonSchemaConverter._typeOf(template), default: deepClone(template) };
+        }
+        if (!root && !options.infer && Object.keys(schema.properties).length === 0 && Object.keys(schema).length === 2) {
+            return {}; // 没有任何声明的子对象
+        }
+        return schema;
     }
     
-    _safeEval(expr) {
-        if (!/^[\d\s+\-*/%().]+$/.test(expr)) {
-            throw new Error(`不安全的表达式: ${expr}`);
+    /**
+     * 将字段约束转换为属性模式（子对象不存在时按约束中保存的 meta 导出）
+     */
+    static fromFieldRule(rule, base, options = {}) {
+        const declared = rule.meta && !base.properties ? JsonSchemaConverter.fromValue({ $meta: rule.meta }, options, false) : {};
+        const schema = { ...declared, ...base };
+        if (rule.type) {
+            const types = Array.isArray(rule.type) ? [...rule.type] : [rule.type];
+            if (rule.nullable) types.push('null');
+            schema.type = types.length === 1 ? types[0] : types;
+        } else if (rule.nullable && schema.type) {
+            schema.type = [schema.type, 'null'];
         }
-        return new Function(`return (${expr})`)();
+        if (typeof rule.min === 'number') schema.minimum = rule.min;
+        if (typeof rule.max === 'number') schema.maximum = rule.max;
+        if (Array.isArray(rule.enum)) schema.enum = deepClone(rule.enum);
+        if (rule.pattern) schema.pattern = rule.pattern;
+        if (typeof rule.maxItems === 'number') schema.maxItems = rule.maxItems;
+        if (rule.default !== undefined) schema.default = deepClone(rule.default);
+        return schema;
+    }
+    
+    static _types(schema) {
+        if (Array.isArray(schema.type)) return schema.type;
+        if (typeof schema.type === 'string') return [schema.type];
+        if (schema.properties) return ['object'];
+        return [];
+    }
+    
+    static _typeOf(value) {
+        if (value === null || value === undefined) return {};
+        if (Array.isArray(value)) return { type: 'array' };
+        if (Number.isInteger(value)) return { type: 'integer' };
+        return { type: typeof value };
     }
 }
 
-// ==================== 操作执行器 ====================
+// ==================== 随机数与骰子 ====================
 
 /**
- * 操作执行器 - 执行 JSON Patch 风格的操作
+ * 掷骰器 - 可设定种子的伪随机数（mulberry32），状态保存在 chat 变量的 $runtime.random 中，
+ * 随消息快照一起恢复，因此重新处理同一条回复会得到相同的结果
+ * 每次掷骰都以 { type: 'roll', path: '$roll' } 条目写入变化历史，掷骰前的状态记入操作日志，撤销和回滚时还原
+ * persist 为 false 时（模板预览等）状态只保存在内存中，不写入变量和历史
+ *
+ * 骰子格式：2d6、d20、d%（百面骰）、4d6kh3（取最高 3 个）、2d20kl1（取最低 1 个）、
+ * 1d20adv（优势，掷两次取高）、1d20dis（劣势，掷两次取低）
  */
-class OperationExecutor {
-    constructor(variableManager) {
+class DiceRoller {
+    /** 骰子格式：数量、面数、取高/取低及数量、优势/劣势 */
+    static PATTERN = /(\d*)[dD](\d+|%)(?:(kh|kl)(\d*)|(adv|dis))?/;
+    
+    static MAX_DICE = 100;
+    static MAX_SIDES = 1000;
+    
+    constructor(variableManager, options = {}) {
         this.vm = variableManager;
-        this.conditionEvaluator = new ConditionEvaluator(variableManager);
-        this.calcEngine = new CalcEngine(variableManager);
-        this.schemaValidator = new SchemaValidator(variableManager);
+        this.persist = options.persist !== false;
+        this.memory = null; // 不持久化时的随机数状态
+        this.captured = null; // capture() 期间的掷骰结果
     }
     
     /**
-     * 执行单个操作
+     * 解析骰子格式
+     * @returns {{ count: number, sides: number, keep: 'kh'|'kl'|null, keepCount: number }}
+     */
+    static parse(notation) {
+        const match = String(notation).trim().match(new RegExp(`^${DiceRoller.PATTERN.source}$`));
+        if (!match) throw new Error(`无法识别的骰子: ${notation}`);
+        const [, countText, sidesText, keepText, keepCountText, advantage] = match;
+        let count = countText === '' ? 1 : Number(countText);
+        const sides = sidesText === '%' ? 100 : Number(sidesText);
+        let keep = keepText ?? null;
+        let keepCount = keep ? (keepCountText === '' ? 1 : Number(keepCountText)) : count;
+        
+        if (advantage) {
+            if (count !== 1) throw new Error(`${advantage} 只能用于单个骰子`);
+            count = 2;
+            keep = advantage === 'adv' ? 'kh' : 'kl';
+            keepCount = 1;
+        }
+        if (count < 1 || count > DiceRoller.MAX_DICE) {
+            throw new Error(`骰子数量需要在 1 到 ${DiceRoller.MAX_DICE} 之间`);
+        }
+        if (sides < 1 || sides > DiceRoller.MAX_SIDES) {
+            throw new Error(`骰子面数需要在 1 到 ${DiceRoller.MAX_SIDES} 之间`);
+        }
+        if (keepCount < 1 || keepCount > count) throw new Error(`保留数量需要在 1 到 ${count} 之间`);
+        return { count, sides, keep, keepCount };
+    }
+    
+    /**
+     * 将种子（数字或字符串）散列为 32 位整数（FNV-1a）
+     */
+    static hash(seed) {
+        let h = 0x811c9dc5;
+        for (const ch of String(seed)) {
+            h = Math.imul(h ^ ch.codePointAt(0), 0x01000193);
+        }
+        return h >>> 0;
+    }
+    
+    /**
+     * 格式化为 "2d6: [3, 5] = 8"
+     */
+    static describe(roll) {
+        const kept = roll.kept ? ` 取 [${roll.kept.join(', ')}]` : '';
+        return `${roll.dice}: [${roll.rolls.join(', ')}]${kept} = ${roll.total}`;
+    }
+    
+    /**
+     * 随机数状态，首次使用时以随机种子初始化
+     */
+    _state() {
+        const holder = this.persist ? this.vm._runtime() : this;
+        const key = this.persist ? 'random' : 'memory';
+        if (!holder[key] || typeof holder[key].state !== 'number') {
+            const seed = Math.floor(Math.random() * 0x100000000);
+            holder[key] = { seed, state: DiceRoller.hash(seed) };
+        }
+        return holder[key];
+    }
+    
+    getSeed() {
+        return this._state().seed;
+    }
+    
+    /**
+     * 种子对应的初始状态，同一种子产生相同的随机序列
+     */
+    static seeded(seed) {
+        return { seed, state: DiceRoller.hash(seed) };
+    }
+    
+    /**
+     * 将 salt 混入当前状态，得到另一组结果（同一 salt 仍可重现）
+     */
+    reseed(salt) {
+        this._track(() => {
+            const random = this._state();
+            random.state = DiceRoller.hash(`${random.state}:${salt}`);
+        });
+    }
+    
+    /**
+     * 执行会推进随机数状态的 fn，并在当前操作日志中记录原状态（op: 'seed'），撤销或回滚时还原
+     */
+    _track(fn) {
+        if (!this.persist) return fn();
+        const before = { ...this._state() };
+        const result = fn();
+        this.vm.journal.record({ op: 'seed', random: before });
+        return result;
+    }
+    
+    /**
+     * [0, 1) 之间的随机数
+     */
+    next() {
+        const random = this._state();
+        random.state = (random.state + 0x6d2b79f5) >>> 0;
+        let t = random.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    /**
+     * [min, max] 之间的随机整数
+     */
+    _int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+    
+    /**
+     * 掷骰
+     * @param {string} notation - 骰子格式，如 2d6、1d20adv
+     * @returns {{ dice: string, rolls: number[], kept?: number[], total: number }}
+     */
+    roll(notation) {
+        const { count, sides, keep, keepCount } = DiceRoller.parse(notation);
+        const rolls = this._track(() => Array.from({ length: count }, () => this._int(1, sides)));
+        const kept = keep ?
+            [...rolls].sort((a, b) => keep === 'kh' ? b - a : a - b).slice(0, keepCount) :
+            null;
+        const total = (kept ?? rolls).reduce((a, b) => a + b, 0);
+        return this._record({ dice: String(notation).trim(), rolls, ...(kept ? { kept } : {}), total });
+    }
+    
+    /**
+     * 随机整数 random(min, max)，不带参数时为 [0, 1) 之间的小数
+     */
+    random(...args) {
+        if (args.length === 0) {
+            const value = this._track(() => this.next());
+            return this._record({ dice: 'random()', rolls: [value], total: value }).total;
+        }
+        if (args.length !== 2) throw new Error('需要 0 个或 2 个参数');
+        const [min, max] = args;
+        if (!Number.isInteger(min) || !Number.isInteger(max)) throw new Error('范围需要是整数');
+        if (min > max) throw new Error(`下限 ${min} 大于上限 ${max}`);
+        const value = this._track(() => this._int(min, max));
+        return this._record({ dice: `random(${min}, ${max})`, rolls: [value], total: value }).total;
+    }
+    
+    /**
+     * 随机选取一项：pick(数组) 或 pick(a, b, c)
+     */
+    pick(...args) {
+        const items = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+        if (items.length === 0) throw new Error('没有可选的值');
+        const index = this._track(() => this._int(1, items.length));
+        return this._record({ dice: `pick(${items.length})`, rolls: [index], total: items[index - 1] }).total;
+    }
+    
+    /**
+     * 执行 fn 并收集期间的掷骰结果
+     * @returns {{ value: any, rolls: Array }}
+     */
+    capture(fn) {
+        const previous = this.captured;
+        this.captured = [];
+        try {
+            const value = fn();
+            return { value, rolls: this.captured };
+        } finally {
+            this.captured = previous;
+        }
+    }
+    
+    /**
+     * 写入变化历史
+     */
+    _record(roll) {
+        if (this.captured) this.captured.push(roll);
+        if (!this.persist) return roll;
+        
+        const { source, messageId, swipeId } = this.vm.changeContext;
+        this.vm.changeLog.record({
+            type: 'roll',
+            path: '$roll',
+            ...deepClone(roll),
+            reason: DiceRoller.describe(roll),
+            source,
+            messageId,
+            swipeId,
+            timestamp: Date.now(),
+        });
+        return roll;
+    }
+}
+
+// ==================== 表达式计算引擎 ====================
+
+/**
+ * 计算引擎 - 支持变量间运算 (Minecraft scoreboard operation 风格)
+ * 表达式先解析为语法树再求值，不使用 eval / new Function
+ *
+ * 支持：数字、字符串、true / false / null、变量路径（如 角色.HP、["角色 A"].HP、global:设置.难度）、
+ * 括号、一元 + - !、** 乘方（右结合）、* / %、+ -（有字符串时 + 为拼接）、比较 < <= > >= == !=、逻辑 && ||，
+ * 以及函数调用（内置函数见 CalcEngine.BUILTINS，自定义函数通过 vm.registerFunction 注册）、
+ * 骰子（2d6、1d20adv，格式见 DiceRoller）和随机函数 random(min, max)、pick(数组)
+ *
+ * 函数参数中的通配路径和过滤路径得到匹配值的数组，不存在的变量为 undefined
+ */
+class CalcEngine {
+    /** 使用掷骰器的随机函数 */
+    static RANDOM = ['random', 'pick'];
+    
+    /** 内置函数和随机函数的参数个数 [最少, 最多] */
+    static ARITY = {
+        abs: [1, 1], floor: [1, 1], ceil: [1, 1], round: [1, 2], sqrt: [1, 1], pow: [2, 2], clamp: [3, 3],
+        min: [1, Infinity], max: [1, Infinity], sum: [1, Infinity], avg: [1, Infinity], count: [1, Infinity],
+        if: [3, 3], random: [0, 2], pick: [1, Infinity],
+    };
+    
+    /** 内置函数（if 在 _call 中单独处理，只计算选中的分支） */
+    static BUILTINS = {
+        abs: x => Math.abs(CalcEngine.toNumber(x)),
+        floor: x => Math.floor(CalcEngine.toNumber(x)),
+        ceil: x => Math.ceil(CalcEngine.toNumber(x)),
+        round: (x, digits = 0) => {
+            x = CalcEngine.toNumber(x);
+            if (!Number.isInteger(digits)) throw new Error('小数位数必须是整数');
+            // 用指数表示法移位，避免 1.005 * 100 的浮点误差
+            const shift = (value, n) => {
+                const [mantissa, exponent = 0] = String(value).split('e');
+                return Number(`${mantissa}e${Number(exponent) + n}`);
+            };
+            return shift(Math.round(shift(x, digits)), -digits);
+        },
+        sqrt: x => {
+            x = CalcEngine.toNumber(x);
+            if (x < 0) throw new Error('不能对负数开平方');
+            return Math.sqrt(x);
+        },
+        pow: (x, y) => CalcEngine.toNumber(x) ** CalcEngine.toNumber(y),
+        clamp: (x, min, max) => {
+            [x, min, max] = [x, min, max].map(CalcEngine.toNumber);
+            if (min > max) throw new Error(`下限 ${min} 大于上限 ${max}`);
+            return Math.min(Math.max(x, min), max);
+        },
+        min: (...values) => {
+            const numbers = CalcEngine.numbers(values);
+            if (numbers.length === 0) throw new Error('没有可比较的值');
+            return Math.min(...numbers);
+        },
+        max: (...values) => {
+            const numbers = CalcEngine.numbers(values);
+            if (numbers.length === 0) throw new Error('没有可比较的值');
+            return Math.max(...numbers);
+        },
+        sum: (...values) => CalcEngine.numbers(values).reduce((a, b) => a + b, 0),
+        avg: (...values) => {
+            const numbers = CalcEngine.numbers(values);
+            return numbers.length ? numbers.reduce((a, b) => a + b, 0) / numbers.length : 0;
+        },
+        // 数组为元素个数，对象为字段数，不存在为 0，其余为 1
+        count: (...values) => values.reduce((total, value) => {
+            if (value === null || value === undefined) return total;
+            if (Array.isArray(value)) return total + value.length;
+            if (typeof value === 'object') return total + Object.keys(value).filter(k => k !== '$meta').length;
+            return total + 1;
+        }, 0),
+    };
+    
+    /**
+     * @param {object} options - { dice: 使用的掷骰器，默认为 vm.dice }
+     */
+    constructor(variableManager, options = {}) {
+        this.vm = variableManager;
+        this.dice = options.dice ?? null;
+        this.cache = new Map(); // 表达式 → 语法树
+        this.cacheLimit = 500;
+    }
+    
+    /**
+     * 计算表达式
+     * @param {string} expr - 表达式字符串
+     * @returns {number|string|null} 计算结果，出错时为 null
+     */
+    evaluate(expr) {
+        try {
+            return this.calculate(expr);
+        } catch (e) {
+            console.warn(`[EDP] 表达式计算失败: ${expr}`, e.message);
+            return null;
+        }
+    }
+    
+    /**
+     * 计算表达式，出错时抛出带位置的错误
+     * @param {string} expr - 表达式字符串
+     */
+    calculate(expr) {
+        return this._evaluate(this.parse(expr));
+    }
+    
+    /**
+     * 获取表达式读取的变量路径
+     * @param {string} expr - 表达式字符串
+     * @returns {string[]} 变量路径列表
+     */
+    dependencies(expr) {
+        const deps = new Set();
+        const walk = (node) => {
+            if (node.type === 'path' || (node.type === 'dice' && node.path)) deps.add(node.path);
+            if (node.args) node.args.forEach(walk);
+            if (node.operand) walk(node.operand);
+            if (node.left) walk(node.left);
+            if (node.right) walk(node.right);
+        };
+        try {
+            walk(this.parse(expr));
+        } catch {
+            // 语法错误的表达式没有依赖，计算时再报告错误
+        }
+        return [...deps];
+    }
+    
+    /**
+     * 解析表达式为语法树
+     */
+    parse(expr) {
+        expr = String(expr);
+        let ast = this.cache.get(expr);
+        if (!ast) {
+            ast = new CalcParser(expr).parse();
+            if (this.cache.size >= this.cacheLimit) this.cache.clear();
+            this.cache.set(expr, ast);
+        }
+        return ast;
+    }
+    
+    _evaluate(node) {
+        switch (node.type) {
+            case 'number':
+            case 'string':
+            case 'literal':
+                return node.value;
+            case 'path': {
+                const value = this.vm.get(node.path);
+                return value === undefined || value === null ? 0 : value;
+            }
+            case 'unary': {
+                if (node.op === '!') return !this._evaluate(node.operand);
+                const value = this._number(node.operand, this._evaluate(node.operand));
+                return node.op === '-' ? -value : value;
+            }
+            case 'binary':
+                return this._binary(node);
+            case 'call':
+                return this._call(node);
+            case 'dice': {
+                // 省略数量的骰子（如 d20）与已存在的变量同名时读取变量
+                const value = node.path ? this.vm.get(node.path) : undefined;
+                if (value !== undefined) return value === null ? 0 : value;
+                return (this.dice ?? this.vm.dice).roll(node.dice).total;
+            }
+            default:
+                throw new Error(`未知的语法节点: ${node.type}`);
+        }
+    }
+    
+    _binary(node) {
+        // 逻辑运算短路求值
+        if (node.op === '&&') return Boolean(this._evaluate(node.left)) && Boolean(this._evaluate(node.right));
+        if (node.op === '||') return Boolean(this._evaluate(node.left)) || Boolean(this._evaluate(node.right));
+        
+        const left = this._evaluate(node.left);
+        const right = this._evaluate(node.right);
+        if (node.op === '==') return left === right;
+        if (node.op === '!=') return left !== right;
+        if (node.op === '+' && (typeof left === 'string' || typeof right === 'string')) {
+            return `${left}${right}`;
+        }
+        const a = this._number(node.left, left);
+        const b = this._number(node.right, right);
+        switch (node.op) {
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/':
+            case '%':
+                if (b === 0) throw CalcParser.error('除数为 0', node.pos);
+                return node.op === '/' ? a / b : a % b;
+            case '**': return a ** b;
+        }
+    }
+    
+    /**
+     * 运算数必须是数值，否则报告它在表达式中的位置
+     */
+    _number(node, value) {
+        if (typeof value === 'number') return value;
+        const name = node.path ?? JSON.stringify(value);
+        throw CalcParser.error(`${name} 不是数值`, node.pos);
+    }
+    
+    /**
+     * 调用函数：if 只计算选中的分支，其余函数先计算全部参数
+     */
+    _call(node) {
+        const { name, args } = node;
+        const arity = Object.hasOwn(CalcEngine.ARITY, name) ? CalcEngine.ARITY[name] : null;
+        if (arity && (args.length < arity[0] || args.length > arity[1])) {
+            const [min, max] = arity;
+            const expected = min === max ? `需要 ${min} 个` : max === Infinity ? `至少需要 ${min} 个` : `需要 ${min} 到 ${max} 个`;
+            throw CalcParser.error(`${name} ${expected}参数，实际为 ${args.length} 个`, node.pos);
+        }
+        if (name === 'if') {
+            return this._evaluate(this._evaluate(args[0]) ? args[1] : args[2]);
+        }
+        
+        const fn = Object.hasOwn(CalcEngine.BUILTINS, name) ? CalcEngine.BUILTINS[name] :
+            CalcEngine.RANDOM.includes(name) ? (...values) => (this.dice ?? this.vm.dice)[name](...values) :
+            this.vm.functions?.get(name);
+        if (!fn) throw CalcParser.error(`未知函数 ${name}`, node.pos);
+        
+        const values = args.map(arg => arg.type === 'path' ? this._argument(arg.path) : this._evaluate(arg));
+        let result;
+        try {
+            result = fn(...values);
+        } catch (e) {
+            throw CalcParser.error(`${name}: ${e.message}`, node.pos);
+        }
+        if (typeof result === 'number' ? !Number.isFinite(result) :
+            !['string', 'boolean'].includes(typeof result) && result !== null) {
+            throw CalcParser.error(`${name} 返回了无效的值`, node.pos);
+        }
+        return result;
+    }
+    
+    /**
+     * 读取作为函数参数的变量：通配/过滤路径为值数组，数组元素去掉描述
+     */
+    _argument(path) {
+        let value;
+        if (PathParser.hasWildcard(path)) value = Object.values(this.vm.get(path));
+        else if (PathParser.hasFilter(path)) value = this.vm._filterValues(path);
+        else value = this.vm.get(path);
+        return Array.isArray(value) ? value.map(item => this.vm._unwrap(item)) : value;
+    }
+    
+    /**
+     * 是否是内置函数名（不能被自定义函数覆盖）
+     */
+    static isBuiltin(name) {
+        return name === 'if' || CalcEngine.RANDOM.includes(name) || Object.hasOwn(CalcEngine.BUILTINS, name);
+    }
+    
+    /**
+     * 将参数展开为数值列表（数组逐项展开，跳过 null / undefined）
+     */
+    static numbers(values) {
+        return values.flat(Infinity).filter(v => v !== null && v !== undefined).map(v => CalcEngine.toNumber(v));
+    }
+    
+    /**
+     * 转换为数值，null / undefined 视为 0
+     */
+    static toNumber(value) {
+        if (value === null || value === undefined) return 0;
+        if (typeof value !== 'number') throw new Error(`${JSON.stringify(value)} 不是数值`);
+        return value;
+    }
+}
+
+/**
+ * 表达式语法分析器 - 将表达式切分为记号并按优先级构建语法树
+ * 优先级从低到高：||、&&、== !=、< <= > >=、+ -、* / %、一元 + - !、**
+ */
+class CalcParser {
+    /** 多字符运算符 */
+    static OPERATORS = ['**', '<=', '>=', '==', '!=', '&&', '||'];
+    
+    constructor(expr) {
+        this.expr = expr;
+        this.tokens = CalcParser.tokenize(expr);
+        this.index = 0;
+    }
+    
+    /**
+     * 生成带位置的错误（位置从 1 开始计数）
+     */
+    static error(message, pos) {
+        return new Error(`${message}（位置 ${pos + 1}）`);
+    }
+    
+    /**
+     * 切分记号：{ type: 'number' | 'string' | 'literal' | 'path' | 'dice' | 'op', value, pos }
+     */
+    static tokenize(expr) {
+        const tokens = [];
+        const identifier = /[\p{L}\p{N}_$]+/uy;
+        const dice = new RegExp(`${DiceRoller.PATTERN.source}(?![\\p{L}\\p{N}_$.\\[])`, 'uy');
+        let i = 0;
+        
+        const readIdentifier = () => {
+            identifier.lastIndex = i;
+            const match = identifier.exec(expr);
+            if (!match) return false;
+            i += match[0].length;
+            return true;
+        };
+        const readBracket = () => {
+            const close = PathParser._findFilterEnd(expr, i + 1);
+            if (close === -1) throw CalcParser.error('缺少 ]', i);
+            i = close + 1;
+        };
+        
+        while (i < expr.length) {
+            const ch = expr[i];
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+            const start = i;
+            
+            // 骰子（如 2d6、d20、4d6kh3、1d20adv），后面跟着 . 或 [ 的是变量路径（如 d6.面数）
+            // 省略数量的骰子同时也是合法的变量名，记下路径，求值时同名变量存在则读取变量
+            dice.lastIndex = i;
+            const diceMatch = dice.exec(expr);
+            if (diceMatch) {
+                const bare = diceMatch[1] === '' && !diceMatch[0].includes('%');
+                tokens.push({ type: 'dice', value: diceMatch[0], pos: start, ...(bare ? { path: diceMatch[0] } : {}) });
+                i += diceMatch[0].length;
+                continue;
+            }
+            
+            // 数字，可带指数如 1e3、2.5E-2（以数字开头但后面跟着文字的是变量名，如 2号位.HP）
+            const number = /\d+(?:\.\d+)?(?:[eE][+-]?\d+)?(?![\p{L}\p{N}_$])/uy;
+            number.lastIndex = i;
+            const numberMatch = number.exec(expr);
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), pos: start });
+                i += numberMatch[0].length;
+                continue;
+            }
+            
+            // 字符串
+            if (ch === '"' || ch === "'") {
+                let value = '';
+                i++;
+                while (i < expr.length && expr[i] !== ch) {
+                    if (expr[i] === '\\' && i + 1 < expr.length) i++;
+                    value += expr[i++];
+                }
+                if (i >= expr.length) throw CalcParser.error('字符串缺少结束引号', start);
+                i++;
+                tokens.push({ type: 'string', value, pos: start });
+                continue;
+            }
+            
+            // 运算符、括号和参数分隔符
+            const op = CalcParser.OPERATORS.find(o => expr.startsWith(o, i)) ?? ('+-*/%()<>!,'.includes(ch) ? ch : null);
+            if (op) {
+                tokens.push({ type: 'op', value: op, pos: start });
+                i += op.length;
+                continue;
+            }
+            
+            // 变量路径：可带作用域前缀，之后是 .名称、.数字、.*、[下标] 或 ["带空格的名称"]
+            if (ch === '[' || readIdentifier()) {
+                const scope = expr.slice(start, i).match(/^([a-z]+)$/);
+                if (scope && expr[i] === ':' &&
+                    (PathParser.SCOPES.includes(scope[1]) || scope[1] in PathParser.SCOPE_ALIASES)) {
+                    i++;
+                    if (expr[i] === '[') readBracket();
+                    else if (!readIdentifier()) throw CalcParser.error('作用域前缀后缺少变量名', i);
+                } else if (ch === '[') {
+                    readBracket();
+                }
+                while (i < expr.length) {
+                    if (expr[i] === '[') {
+                        readBracket();
+                    } else if (expr[i] === '.' && expr.startsWith('**', i + 1)) {
+                        i += 3;
+                    } else if (expr[i] === '.' && expr[i + 1] === '*') {
+                        i += 2;
+                    } else if (expr[i] === '.') {
+                        i++;
+                        if (!readIdentifier()) throw CalcParser.error('. 后缺少名称', i);
+                    } else {
+                        break;
+                    }
+                }
+                const path = expr.slice(start, i);
+                if (['true', 'false', 'null'].includes(path)) {
+                    tokens.push({ type: 'literal', value: JSON.parse(path), pos: start });
+                } else {
+                    tokens.push({ type: 'path', value: path, pos: start });
+                }
+                continue;
+            }
+            
+            throw CalcParser.error(`无法识别的字符 "${ch}"`, start);
+        }
+        return tokens;
+    }
+    
+    parse() {
+        if (this.tokens.length === 0) throw CalcParser.error('表达式为空', 0);
+        const ast = this._or();
+        const extra = this._peek();
+        if (extra) throw CalcParser.error(`多余的 "${this._text(extra)}"`, extra.pos);
+        return ast;
+    }
+    
+    _peek() {
+        return this.tokens[this.index];
+    }
+    
+    _text(token) {
+        return token.type === 'string' ? JSON.stringify(token.value) : String(token.value);
+    }
+    
+    /**
+     * 当前记号是给定的运算符之一时取出
+     */
+    _accept(...ops) {
+        const token = this._peek();
+        if (token && token.type === 'op' && ops.includes(token.value)) {
+            this.index++;
+            return token;
+        }
+        return null;
+    }
+    
+    /**
+     * 左结合的二元运算层级
+     */
+    _binaryLevel(ops, next) {
+        let node = next();
+        let token;
+        while ((token = this._accept(...ops))) {
+            node = { type: 'binary', op: token.value, left: node, right: next(), pos: token.pos };
+        }
+        return node;
+    }
+    
+    _or() {
+        return this._binaryLevel(['||'], () => this._and());
+    }
+    
+    _and() {
+        return this._binaryLevel(['&&'], () => this._equality());
+    }
+    
+    _equality() {
+        return this._binaryLevel(['==', '!='], () => this._comparison());
+    }
+    
+    _comparison() {
+        return this._binaryLevel(['<', '<=', '>', '>='], () => this._additive());
+    }
+    
+    _additive() {
+        return this._binaryLevel(['+', '-'], () => this._multiplicative());
+    }
+    
+    _multiplicative() {
+        return this._binaryLevel(['*', '/', '%'], () => this._unary());
+    }
+    
+    /**
+     * 一元运算的优先级低于 **，-2 ** 2 为 -4
+     */
+    _unary() {
+        const token = this._accept('+', '-', '!');
+        if (token) return { type: 'unary', op: token.value, operand: this._unary(), pos: token.pos };
+        return this._power();
+    }
+    
+    _power() {
+        const base = this._primary();
+        const token = this._accept('**');
+        if (!token) return base;
+        return { type: 'binary', op: '**', left: base, right: this._unary(), pos: token.pos };
+    }
+    
+    _primary() {
+        const token = this._peek();
+        if (!token) throw CalcParser.error('表达式不完整', this.expr.length);
+        this.index++;
+        switch (token.type) {
+            case 'number':
+            case 'string':
+            case 'literal':
+                return { type: token.type, value: token.value, pos: token.pos };
+            case 'path':
+                if (this._accept('(')) return this._call(token);
+                return { type: 'path', path: token.value, pos: token.pos };
+            case 'dice':
+                try {
+                    DiceRoller.parse(token.value);
+                } catch (e) {
+                    throw CalcParser.error(e.message, token.pos);
+                }
+                return { type: 'dice', dice: token.value, pos: token.pos, ...(token.path ? { path: token.path } : {}) };
+        }
+        if (token.value === '(') {
+            const node = this._or();
+            if (!this._accept(')')) {
+                const next = this._peek();
+                throw CalcParser.error('缺少 )', next ? next.pos : this.expr.length);
+            }
+            return node;
+        }
+        throw CalcParser.error(`意外的 "${token.value}"`, token.pos);
+    }
+    
+    /**
+     * 函数调用：名称 ( 参数, ... )，左括号已取出
+     */
+    _call(token) {
+        if (!/^[\p{L}_$][\p{L}\p{N}_$]*$/u.test(token.value)) {
+            throw CalcParser.error(`${token.value} 不是函数名`, token.pos);
+        }
+        const args = [];
+        if (!this._accept(')')) {
+            do {
+                args.push(this._or());
+            } while (this._accept(','));
+            if (!this._accept(')')) {
+                const next = this._peek();
+                throw CalcParser.error('函数调用缺少 )', next ? next.pos : this.expr.length);
+            }
+        }
+        return { type: 'call', name: token.value, args, pos: token.pos };
+    }
+}
+
+// ==================== 计算变量 ====================
+
+/**
+ * 计算变量注册表 - 由公式定义的变量，依赖变化时自动重新计算
+ * 来源：vm.define(path, expr)，或对象 $meta.computed 中的 { 字段: 公式 }
+ */
+class ComputedRegistry {
+    constructor(variableManager) {
+        this.vm = variableManager;
+        this.calcEngine = new CalcEngine(variableManager);
+        this.definitions = new Map(); // define() 声明的公式 path → expr
+        this.metaDefinitions = null; // $meta.computed 声明的缓存，null 表示需要重新扫描
+    }
+    
+    /**
+     * 声明计算变量
+     * @returns {{ success: boolean, error?: string }}
+     */
+    define(path, expr) {
+        const key = PathParser.normalize(path);
+        const previous = this.definitions.get(key);
+        this.definitions.set(key, expr);
+        
+        const cycle = this.findCycle(key);
+        if (cycle) {
+            if (previous === undefined) this.definitions.delete(key);
+            else this.definitions.set(key, previous);
+            return { success: false, error: `计算变量存在循环依赖: ${cycle.join(' → ')}` };
+        }
+        
+        this.recompute(key);
+        if (this.vm._executeDepth === 0) this.vm._settle();
+        return { success: true };
+    }
+    
+    /**
+     * 取消计算变量（保留当前值）
+     */
+    undefine(path) {
+        return this.definitions.delete(PathParser.normalize(path));
+    }
+    
+    /**
+     * 标记 $meta 声明需要重新扫描
+     * @param {string} [path] - 只重新扫描该路径下的声明，省略时全部重新扫描
+     */
+    invalidate(path) {
+        if (path === undefined || !this.metaDefinitions) {
+            this.metaDefinitions = null;
+            return;
+        }
+        for (const computedPath of [...this.metaDefinitions.keys()]) {
+            if (ComputedRegistry.isUnder(computedPath, path)) this.metaDefinitions.delete(computedPath);
+        }
+        const scope = PathParser.splitScope(path).scope || 'chat';
+        const keys = PathParser.parse(path);
+        const node = keys.length ? this.vm._getByPath(this.vm.getScope(scope), keys) : this.vm.getScope(scope);
+        this._scan(node, keys, scope === 'chat' ? '' : `${scope}:`, this.metaDefinitions);
+    }
+    
+    /**
+     * 值中是否带有 $meta（写入或删除的对象可能带有计算变量声明）
+     */
+    static containsMeta(value) {
+        if (value === null || typeof value !== 'object') return false;
+        if (!Array.isArray(value) && '$meta' in value) return true;
+        return Object.values(value).some(ComputedRegistry.containsMeta);
+    }
+    
+    clear() {
+        this.definitions.clear();
+        this.invalidate();
+    }
+    
+    /**
+     * 获取所有计算变量 path → { expr, deps }
+     */
+    getAll() {
+        if (!this.metaDefinitions) {
+            this.metaDefinitions = this._collectMetaDefinitions();
+        }
+        const all = new Map();
+        for (const [path, expr] of [...this.metaDefinitions, ...this.definitions]) {
+            all.set(path, { expr, deps: this.calcEngine.dependencies(expr) });
+        }
+        return all;
+    }
+    
+    /**
+     * 判断路径是否是计算变量（或位于计算变量之下）
+     */
+    isComputed(path) {
+        if (!path) return false;
+        for (const computedPath of this.getAll().keys()) {
+            if (ComputedRegistry.isUnder(path, computedPath)) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * 查找从 start 出发的依赖环
+     * @returns {string[]|null} 环上的路径
+     */
+    findCycle(start) {
+        const all = this.getAll();
+        const visit = (path, stack) => {
+            const def = all.get(path);
+            if (!def) return null;
+            for (const dep of def.deps) {
+                for (const other of all.keys()) {
+                    if (!ComputedRegistry.overlaps(dep, other)) continue;
+                    if (other === start) return [...stack, other];
+                    if (stack.includes(other)) continue;
+                    const cycle = visit(other, [...stack, other]);
+                    if (cycle) return cycle;
+                }
+            }
+            return null;
+        };
+        return visit(start, [start]);
+    }
+    
+    /**
+     * 处理一批变化的路径，重新计算受影响的计算变量
+     * @param {string[]} changedPaths - 变化的路径
+     */
+    onChanges(changedPaths) {
+        for (const [path, def] of this.getAll()) {
+            const affected = changedPaths.some(changed =>
+                ComputedRegistry.isUnder(path, changed) ||
+                def.deps.some(dep => ComputedRegistry.overlaps(dep, changed))
+            );
+            if (affected) this.recompute(path);
+        }
+    }
+    
+    /**
+     * 重新计算一个计算变量，值未变化时不写入
+     */
+    recompute(path) {
+        const def = this.getAll().get(path);
+        if (!def) return;
+        
+        const result = this.calcEngine.evaluate(def.expr);
+        if (result === null) return;
+        
+        const current = this.vm.get(path);
+        if (JSON.stringify(current) === JSON.stringify(result)) return;
+        
+        this.vm._initExecutors();
+        this.vm.executor._writeDirect(path, result, `computed: ${def.expr}`);
+    }
+    
+    /**
+     * 扫描各作用域中 $meta.computed 声明
+     */
+    _collectMetaDefinitions() {
+        const found = new Map();
+        for (const scope of PathParser.SCOPES) {
+            this._scan(this.vm.getScope(scope), [], scope === 'chat' ? '' : `${scope}:`, found);
+        }
+        return found;
+    }
+    
+    /**
+     * 收集 node（位于 keys）及其下各级 $meta.computed 声明
+     */
+    _scan(node, keys, prefix, found) {
+        if (!node || typeof node !== 'object') return;
+        const computed = node.$meta?.computed;
+        if (computed && typeof computed === 'object') {
+            for (const [field, expr] of Object.entries(computed)) {
+                found.set(prefix + PathParser.normalize([...keys, field]), expr);
+            }
+        }
+        for (const [key, child] of Object.entries(node)) {
+            if (key === '$meta') continue;
+            this._scan(child, [...keys, Array.isArray(node) ? Number(key) : key], prefix, found);
+        }
+    }
+    
+    /**
+     * path 是否等于 ancestor 或位于其下
+     */
+    static isUnder(path, ancestor) {
+        const a = PathParser.splitScope(String(path)).scope || 'chat';
+        const b = PathParser.splitScope(String(ancestor)).scope || 'chat';
+        if (a !== b) return false;
+        const keys = PathParser.parse(path);
+        const ancestorKeys = PathParser.parse(ancestor);
+        return ancestorKeys.length <= keys.length &&
+            ancestorKeys.every((key, i) => String(key) === String(keys[i]));
+    }
+    
+    /**
+     * 两个路径是否互相包含（不带作用域前缀的依赖匹配任意作用域）
+     */
+    static overlaps(dep, path) {
+        const depScope = PathParser.splitScope(String(dep)).scope;
+        const pathScope = PathParser.splitScope(String(path)).scope || 'chat';
+        if (depScope && depScope !== pathScope) return false;
+        const a = PathParser.parse(dep);
+        const b = PathParser.parse(path);
+        const n = Math.min(a.length, b.length);
+        for (let i = 0; i < n; i++) {
+            // ** 和过滤段（元素的任意字段都可能影响匹配结果）覆盖其下所有路径
+            if (a[i] === '**' || a[i] instanceof PathFilter) return true;
+            if (a[i] === '*' || a[i] instanceof PathSlice) continue;
+            if (String(a[i]) !== String(b[i])) return false;
+        }
+        return true;
+    }
+}
+
+// ==================== 规则引擎 ====================
+
+/**
+ * 规则引擎 - "当 X 变化且条件成立时，执行一组操作"
+ * 与 edp_variable_changed 事件来自同一变化流，在触发它的操作/批量内同步执行，
+ * 因此规则执行的操作与触发变化一起参与原子回滚
+ *
+ * 规则格式：
+ * {
+ *   id: '昏迷判定',
+ *   path: '角色.HP',                 // 监听路径，支持 * 和 **
+ *   when: { path: '$new', lte: 0 },  // 条件（ConditionEvaluator 格式），可用 $new / $old / $path / $parent
+ *   operations: [{ op: 'replace', path: '$parent.状态', value: '昏迷' }],
+ *   priority: 0,                     // 数值越大越先执行
+ *   reentrant: false,                // 是否允许被自己产生的变化再次触发
+ *   once: false,                     // 触发一次后自动删除
+ * }
+ */
+class RuleEngine {
+    constructor(variableManager) {
+        this.vm = variableManager;
+        this.conditionEvaluator = new ConditionEvaluator(variableManager);
+        this.rules = new Map();
+        this.maxFiringsPerRule = 10; // 单次操作内每条规则最多触发次数
+    }
+    
+    /**
+     * 添加或替换规则
+     */
+    addRule(rule) {
+        if (!rule || !rule.id || !rule.path || !Array.isArray(rule.operations)) {
+            throw new Error('规则需要 id、path 和 operations');
+        }
+        this.rules.set(rule.id, { priority: 0, reentrant: false, once: false, enabled: true, ...rule });
+    }
+    
+    removeRule(id) {
+        return this.rules.delete(id);
+    }
+    
+    getRules() {
+        return Array.from(this.rules.values());
+    }
+    
+    clear() {
+        this.rules.clear();
+    }
+    
+    /**
+     * 处理一批变化，执行匹配的规则
+     * @param {Array} changes - [{ path, oldValue, newValue, ruleId }]
+     * @param {Map} firings - 本次操作内各规则的触发次数
+     * @returns {string|null} 规则执行失败时的错误信息
+     */
+    onChanges(changes, firings) {
+        if (this.rules.size === 0) return null;
+        
+        for (const change of changes) {
+            const matching = this.getRules()
+                .filter(rule => rule.enabled && PathParser.matchPattern(rule.path, change.path))
+                .sort((a, b) => b.priority - a.priority);
+            
+            for (const rule of matching) {
+                if (change.ruleId === rule.id && !rule.reentrant) continue;
+                
+                const count = firings.get(rule.id) || 0;
+                if (rule.once && count > 0) continue;
+                if (count >= this.maxFiringsPerRule) {
+                    console.warn(`[EDP] 规则 ${rule.id} 触发次数超限，已跳过`);
+                    continue;
+                }
+                
+                const keys = PathParser.parse(change.path);
+                const { scope } = PathParser.splitScope(change.path);
+                const parent = PathParser.normalize(keys.slice(0, -1));
+                const locals = {
+                    $path: change.path,
+                    $parent: scope && scope !== 'chat' ? `${scope}:${parent}` : parent,
+                    $old: change.oldValue,
+                    $new: change.newValue,
+                };
+                if (rule.when && !this.conditionEvaluator.evaluate(rule.when, locals)) continue;
+                
+                firings.set(rule.id, count + 1);
+                const error = this._fire(rule, locals);
+                if (error) return `规则 ${rule.id} 执行失败: ${error}`;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 连带变化全部成功后删除已触发的 once 规则（失败回滚时规则保留）
+     * @param {Map} firings - 本次操作内各规则的触发次数
+     */
+    removeFired(firings) {
+        for (const id of firings.keys()) {
+            if (this.rules.get(id)?.once) this.rules.delete(id);
+        }
+    }
+    
+    _fire(rule, locals) {
+        return this.vm.runWithContext({ ruleId: rule.id }, () => {
+            for (const operation of rule.operations) {
+                const result = this.vm.executor.execute(this._bind(operation, locals));
+                if (!result.success && !result.skipped) return result.error;
+            }
+            return null;
+        });
+    }
+    
+    /**
+     * 替换操作中的 $path / $parent 路径前缀，以及整个值为 $new / $old / $path / $parent 的占位
+     */
+    _bind(operation, locals) {
+        const bound = deepClone(operation);
+        for (const field of ['path', 'from']) {
+            if (typeof bound[field] === 'string') {
+                bound[field] = bound[field].replace(/^\$(path|parent)(?=$|[.\/\[])/, (_, name) => locals[`$${name}`]);
+            }
+        }
+        if (typeof bound.value === 'string' && Object.prototype.hasOwnProperty.call(locals, bound.value)) {
+            bound.value = deepClone(locals[bound.value]);
+        }
+        return bound;
+    }
+}
+
+// ==================== 定时任务 ====================
+
+/**
+ * 定时任务 - 在之后的回合执行一组操作，可以只执行一次或每隔几回合重复
+ * 任务保存在 chat 变量的 $runtime.schedule 中，随消息快照一起恢复；
+ * 每回合开始时（advanceTurn）通过批量执行器原子执行到期的任务
+ *
+ * 任务格式：
+ * {
+ *   id: '回蓝',
+ *   turn: 12,                        // 下次执行的回合
+ *   every: 3,                        // 重复间隔（回合），省略则只执行一次
+ *   operations: [{ op: 'increment', path: '角色.MP', delta: 10 }],
+ * }
+ */
+class Scheduler {
+    constructor(variableManager) {
+        this.vm = variableManager;
+    }
+    
+    /**
+     * 按选项生成任务
+     * @param {Array} operations - 要执行的操作
+     * @param {object} options - { in: 几回合后执行, every: 重复间隔, id }，只给 every 时 every 回合后第一次执行
+     */
+    create(operations, options = {}) {
+        const { in: delay = options.every, every, id } = options;
+        if (!Array.isArray(operations) || operations.length === 0) {
+            throw new Error('定时任务需要 operations');
+        }
+        if (!Number.isInteger(delay) || delay < 1) throw new Error('in 需要正整数回合数');
+        if (every !== undefined && (!Number.isInteger(every) || every < 1)) throw new Error('every 需要正整数回合数');
+        
+        const runtime = this.vm._runtime();
+        let jobId = id;
+        if (jobId === undefined || jobId === null || jobId === '') {
+            this.vm._setRuntime('nextJobId', (runtime.nextJobId ?? 0) + 1);
+            jobId = `job-${runtime.nextJobId}`;
+        }
+        return {
+            id: String(jobId),
+            turn: this.vm.getTurn() + delay,
+            ...(every !== undefined ? { every } : {}),
+            operations: deepClone(operations),
+        };
+    }
+    
+    list() {
+        return this.vm.statData.$runtime?.schedule ?? [];
+    }
+    
+    get(id) {
+        return this.list().find(job => job.id === id) ?? null;
+    }
+    
+    /**
+     * 添加任务，同 id 的任务被替换
+     * @returns {object|null} 被替换的任务
+     */
+    add(job) {
+        const previous = this.get(job.id);
+        this.vm._setRuntime('schedule', [...this.list().filter(item => item !== previous), deepClone(job)]);
+        return previous;
+    }
+    
+    /**
+     * 删除任务
+     * @returns {object|null} 被删除的任务
+     */
+    remove(id) {
+        const job = this.get(id);
+        if (job) this.vm._setRuntime('schedule', this.list().filter(item => item !== job));
+        return job;
+    }
+    
+    /**
+     * 执行到期的任务（按回合先后、添加先后），单个任务失败时整体撤回并跳过
+     * @returns {Array<{ id: string, success: boolean, errors: Array }>}
+     */
+    runDue() {
+        const turn = this.vm.getTurn();
+        const due = this.list().filter(job => job.turn <= turn);
+        if (due.length === 0) return [];
+        
+        // 先更新队列再执行，任务中新建的任务不会在本回合执行
+        this.vm._setRuntime('schedule', this.list()
+            .filter(job => !due.includes(job) || job.every)
+            .map(job => due.includes(job) ? { ...job, turn: turn + job.every } : job));
+        
+        return due.sort((a, b) => a.turn - b.turn).map(job => {
+            const result = this.vm.batchExecutor.execute(deepClone(job.operations), { atomic: true });
+            if (!result.success) {
+                console.warn(`[EDP] 定时任务 ${job.id} 执行失败:`, result.errors.map(e => e.error).join('; '));
+            }
+            return { id: job.id, success: result.success, errors: result.errors };
+        });
+    }
+}
+
+// ==================== 操作日志 ====================
+
+/**
+ * 操作日志 - 记录每次操作的逆向补丁，支持撤销/重做
+ * 每条记录只保存被修改位置的旧值，而不是整个状态的拷贝
+ */
+class OperationJournal {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.frames = []; // 正在记录的事务栈，每层是一个逆向操作数组
+        this.replaying = false; // 正在撤销/重做
+    }
+    
+    /**
+     * 是否处于记录中
+     */
+    isRecording() {
+        return this.frames.length > 0;
+    }
+    
+    /**
+     * 开始一个事务（可嵌套，嵌套事务提交时并入外层）
+     */
+    begin() {
+        this.frames.push([]);
+    }
+    
+    /**
+     * 记录一个逆向操作
+     * @param {object} inverseOp - 撤销该修改所需的操作
+     */
+    record(inverseOp) {
+        if (this.frames.length === 0) return;
+        this.frames[this.frames.length - 1].push(inverseOp);
+    }
+    
+    /**
+     * 提交当前事务
+     * @param {string} label - 记录描述
+     */
+    commit(label = '') {
+        const inverse = this.frames.pop();
+        if (!inverse || inverse.length === 0) return;
+        
+        if (this.frames.length > 0) {
+            this.frames[this.frames.length - 1].push(...inverse);
+            return;
+        }
+        if (this.replaying) return;
+        
+        this.undoStack.push({ label, inverse, timestamp: Date.now() });
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+    
+    /**
+     * 放弃当前事务
+     * @returns {Array} 已记录的逆向操作
+     */
+    abort() {
+        return this.frames.pop() || [];
+    }
+    
+    /**
+     * 清空撤销/重做记录
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// ==================== 操作执行器 ====================
+
+/**
+ * 操作执行器 - 执行 JSON Patch 风格的操作
+ */
+class OperationExecutor {
+    /** increment 以外的数值运算 */
+    static NUMERIC_OPS = ['multiply', 'divide', 'percent', 'clamp', 'max', 'min'];
+    
+    /** 只作用于数组的 modify 操作 */
+    static ARRAY_ACTIONS = ['remove', 'removeWhere', 'pop', 'shift', 'sort', 'unique', 'addUnique', 'truncate'];
+    
+    constructor(variableManager) {
+        this.vm = variableManager;
+        this.conditionEvaluator = new ConditionEvaluator(variableManager);
+        this.calcEngine = new CalcEngine(variableManager);
+        this.schemaValidator = new SchemaValidator(variableManager);
+    }
+    
+    /**
+     * 执行单个操作
      * @param {object} operation - 操作对象
      * @returns {{ success: boolean, error?: string, skipped?: boolean }}
      */
-    execute(operation) {
-        const { op, path, value, from, delta, expr, action, index } = operation;
+    execute(operation) {
+        const label = `${operation.op} ${operation.path ?? ''}`.trim();
+        if (this.vm.journal.replaying) {
+            this.vm.journal.begin();
+            try {
+                return this._execute(operation);
+            } finally {
+                this.vm.journal.commit(label);
+            }
+        }
+        
+        // 操作和它引起的连带变化（计算变量、规则）作为一个事务，任一失败则全部回滚（包括按模板创建的成员）
+        const point = this.vm._beginTransaction();
+        this.vm._executeDepth++;
+        let result = { success: false, error: '操作执行中断' };
+        try {
+            result = this._execute(operation);
+            // 最外层操作完成后处理连带变化
+            if (this.vm._executeDepth === 1 && result.success) {
+                const error = this.vm._settle();
+                if (error) result = { success: false, error };
+            }
+            return result;
+        } finally {
+            this.vm._executeDepth--;
+            if (result.success) {
+                this.vm._commitTransaction(label);
+            } else {
+                this.vm._rollbackTransaction(point);
+            }
+        }
+    }
+    
+    _execute(operation) {
+        const { op, path, from } = operation;
+        
+        // 严格模式只作用于外部传入的补丁，规则产生的操作和撤销/重做不受影响
+        if (this.vm.strictMode && !this.vm.journal.replaying && !this.vm.changeContext.ruleId) {
+            return this._executeStrict(operation);
+        }
+        
+        // 条件检查
+        if (operation.if && !this.conditionEvaluator.evaluate(operation.if)) {
+            return { success: true, skipped: true };
+        }
+        
+        // 定时任务和随机数状态不作用于路径
+        if (op === 'schedule' || op === 'unschedule') {
+            return this._executeSchedule(operation);
+        }
+        if (op === 'seed') {
+            return this._executeSeed(operation);
+        }
+        if (op === 'runtime') {
+            this.vm._setRuntime(operation.key, operation.value);
+            return { success: true };
+        }
+        
+        // 通配路径展开为多个操作（删除时过滤路径也删除所有匹配的元素）
+        if (path != null && (PathParser.hasWildcard(path) || (op === 'remove' && PathParser.hasFilter(path)))) {
+            if (from != null && PathParser.hasWildcard(from)) {
+                return { success: false, error: `${from}: 源路径不支持通配符` };
+            }
+            return this._executeFanOut(operation);
+        }
+        
+        // 切片只读，负数索引换算为实际位置
+        if (op !== 'test') {
+            const slicePath = [path, op === 'copy' ? null : from].find(p => p != null && PathParser.hasSlice(p));
+            if (slicePath) {
+                return { success: false, error: `${slicePath} 是切片路径，只能读取` };
+            }
+        }
+        try {
+            const resolved = {
+                ...operation,
+                path: this._concretePath(path),
+                ...(from != null ? { from: this._concretePath(from) } : {}),
+            };
+            if (!operation.expires || this.vm.journal.replaying) return this._executeResolved(resolved);
+            
+            // 限时写入：记录写入前的值，到期时还原（原本不存在则删除）
+            const { turns, seconds } = operation.expires;
+            if (![turns, seconds].some(n => typeof n === 'number' && n > 0)) {
+                return { success: false, error: 'expires 需要正数的 turns 或 seconds' };
+            }
+            const target = this.vm._resolve(resolved.path);
+            const before = this.vm._getByPath(target.root, target.keys);
+            const result = this._executeResolved(resolved);
+            if (result.success && !result.skipped) {
+                this.vm._addExpiry(resolved.path, operation.expires, before);
+            }
+            return result;
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+    
+    /**
+     * 添加或取消定时任务，队列的变化由 Scheduler 记入操作日志，可以撤销和原子回滚
+     * 带有完整 job 的 schedule 操作直接添加该任务
+     */
+    _executeSchedule(operation) {
+        const scheduler = this.vm.scheduler;
+        if (operation.op === 'unschedule') {
+            const job = scheduler.remove(String(operation.id));
+            return job ? { success: true } : { success: true, skipped: true };
+        }
+        
+        let job = operation.job;
+        if (!job) {
+            try {
+                job = scheduler.create(operation.operations, { in: operation.in, every: operation.every, id: operation.id });
+            } catch (e) {
+                return { success: false, error: e.message };
+            }
+        }
+        scheduler.add(job);
+        return { success: true, id: job.id };
+    }
+    
+    /**
+     * 设置随机数状态 { seed, state }（或按 seed 生成，clear 时清除），记录原状态以便撤销和原子回滚
+     */
+    _executeSeed(operation) {
+        const random = operation.random ?? (operation.seed !== undefined ? DiceRoller.seeded(operation.seed) : null);
+        if (!operation.clear && (!random || typeof random.state !== 'number')) {
+            return { success: false, error: 'seed 需要 seed 或 random' };
+        }
+        const runtime = this.vm._runtime();
+        this._recordInverse(runtime.random ? { op: 'seed', random: { ...runtime.random } } : { op: 'seed', clear: true });
+        if (operation.clear) delete runtime.random;
+        else runtime.random = { ...random };
+        return { success: true };
+    }
+    
+    /**
+     * 对通配路径匹配到的每个路径执行一次操作，任一失败则全部撤回
+     */
+    _executeFanOut(operation) {
+        const { if: _condition, ...base } = operation;
+        // add/replace 可以创建末级键，其他操作只作用于已存在的路径
+        const paths = this.vm._expandPath(base.path, { allowMissingLeaf: ['add', 'replace'].includes(base.op) });
+        // 删除时从后往前，避免数组下标移动
+        if (base.op === 'remove') paths.reverse();
+        if (paths.length === 0) {
+            return { success: true, skipped: true, matched: 0 };
+        }
         
-        // 条件检查
-        if (operation.if && !this.conditionEvaluator.evaluate(operation.if)) {
-            return { success: true, skipped: true };
+        const result = this._executeAll(paths.map(path => ({ ...base, path })));
+        return result.success ? { success: true, matched: paths.length } : result;
+    }
+    
+    /**
+     * 依次执行一组操作，任一失败则撤回已执行的部分
+     */
+    _executeAll(operations) {
+        const transaction = this.vm._beginTransaction();
+        for (const operation of operations) {
+            const result = this._execute(operation);
+            if (!result.success && !result.skipped) {
+                this.vm._rollbackTransaction(transaction);
+                const path = Array.isArray(operation.path) ? PathParser.toPointer(operation.path) : operation.path;
+                return { success: false, error: `${path}: ${result.error}` };
+            }
+        }
+        this.vm._commitTransaction();
+        return { success: true };
+    }
+    
+    /**
+     * RFC 7386 JSON Merge Patch：null 删除键，对象递归合并，其他值直接替换
+     * 合并结果与当前值比较后逐项写入，[值, 描述] 的描述会保留
+     */
+    _executeMergePatch(path, patch) {
+        const target = this.vm._resolve(path ?? '');
+        const current = target.keys.length ? this.vm._getByPath(target.root, target.keys) : target.root;
+        const merged = this._mergePatch(current, patch);
+        if (target.keys.length === 0 && (merged === null || typeof merged !== 'object' || Array.isArray(merged))) {
+            return { success: false, error: 'merge-patch 不能把根节点替换为非对象' };
+        }
+        const prefix = target.keys.length ? this._pointer(target, target.keys) : (target.scope === 'chat' ? '' : `${target.scope}:`);
+        return this._executeAll(PatchDiffer.diff(current, merged, { includeMeta: true, prefix }));
+    }
+    
+    _mergePatch(current, patch) {
+        const description = this.vm._isTuple(current) ? current[1] : null;
+        const value = this.vm._unwrap(current);
+        let result;
+        if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+            result = deepClone(patch);
+        } else {
+            result = value !== null && typeof value === 'object' && !Array.isArray(value) ? deepClone(value) : {};
+            for (const [key, child] of Object.entries(patch)) {
+                if (child === null) {
+                    delete result[key];
+                } else {
+                    result[key] = this._mergePatch(result[key], child);
+                }
+            }
+        }
+        return description !== null ? [result, description] : result;
+    }
+    
+    /**
+     * 严格模式：按 RFC 6902 的语义和错误处理执行
+     * 路径必须是作用于聊天变量的 JSON Pointer，不支持扩展操作、条件、通配、过滤和负数索引
+     */
+    _executeStrict(operation) {
+        const { op } = operation;
+        const required = {
+            add: ['path', 'value'], remove: ['path'], replace: ['path', 'value'],
+            move: ['from', 'path'], copy: ['from', 'path'], test: ['path', 'value'], 'merge-patch': ['value'],
+        }[op];
+        if (!required) {
+            return { success: false, error: `严格模式不支持操作: ${op}` };
+        }
+        const missing = required.find(member => !(member in operation));
+        if (missing) {
+            return { success: false, error: `${op} 缺少 ${missing}` };
+        }
+        
+        try {
+            if (op === 'merge-patch') {
+                return this._executeMergePatch(this._strictPointer(operation.path ?? ''), operation.value);
+            }
+            const keys = this._strictKeys(operation.path, ['add', 'move', 'copy'].includes(op));
+            const fromKeys = ['move', 'copy'].includes(op) ? this._strictKeys(operation.from, false) : null;
+            const root = this.vm.statData;
+            
+            if (keys.length === 0) {
+                // 整个文档
+                switch (op) {
+                    case 'test':
+                        return PatchDiffer.equal(root, operation.value) ? { success: true } : { success: false, error: 'test 失败: /' };
+                    case 'remove':
+                        return { success: false, error: '不能删除根节点' };
+                    default: {
+                        const value = op === 'add' || op === 'replace' ? operation.value : this.vm._getByPath(root, fromKeys);
+                        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                            return { success: false, error: '根节点只能替换为对象' };
+                        }
+                        return this._executeAll(PatchDiffer.diff(root, deepClone(value), { includeMeta: true }));
+                    }
+                }
+            }
+            
+            switch (op) {
+                case 'test': {
+                    // 比较原样保存的 JSON，[值, 描述] 元组不展开
+                    const current = this.vm._getByPath(root, keys);
+                    return PatchDiffer.equal(current, operation.value) ?
+                        { success: true } : { success: false, error: `test 失败: ${operation.path}` };
+                }
+                case 'move':
+                    if (fromKeys.length < keys.length && fromKeys.every((key, i) => String(key) === String(keys[i]))) {
+                        return { success: false, error: `不能把 ${operation.from} 移动到它的子节点` };
+                    }
+                    if (PathParser.toPointer(fromKeys) === PathParser.toPointer(keys)) return { success: true };
+                    return this._executeResolved({ op, from: fromKeys, path: keys });
+                case 'copy':
+                    return this._executeResolved({ op: 'add', path: keys, value: deepClone(this.vm._getByPath(root, fromKeys)) });
+                default:
+                    return this._executeResolved({ op, path: keys, value: operation.value });
+            }
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+    
+    _strictPointer(pointer) {
+        if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+            throw new Error(`不是 JSON Pointer: ${pointer}`);
+        }
+        return pointer;
+    }
+    
+    /**
+     * 按 RFC 6901/6902 解析路径：中间节点必须存在，数组下标不能有前导零或越界
+     * @param {string} pointer - JSON Pointer
+     * @param {boolean} forAdd - 目标位置是否可以不存在（add 的末级）
+     * @returns {Array} 键数组
+     */
+    _strictKeys(pointer, forAdd) {
+        this._strictPointer(pointer);
+        const segments = pointer === '' ? [] : pointer.slice(1).split('/').map(segment => {
+            if (/~([^01]|$)/.test(segment)) throw new Error(`${pointer}: 无效的转义 "${segment}"`);
+            return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+        });
+        
+        const keys = [];
+        let current = this.vm.statData;
+        segments.forEach((segment, i) => {
+            const last = i === segments.length - 1;
+            current = this.vm._inner(current);
+            if (Array.isArray(current)) {
+                if (segment === '-' && last && forAdd) {
+                    keys.push('-');
+                    return;
+                }
+                if (!/^(0|[1-9]\d*)$/.test(segment)) throw new Error(`${pointer}: 无效的数组下标 "${segment}"`);
+                const index = Number(segment);
+                if (index > (last && forAdd ? current.length : current.length - 1)) {
+                    throw new Error(`${pointer}: 数组下标越界`);
+                }
+                keys.push(index);
+                current = current[index];
+            } else if (current !== null && typeof current === 'object') {
+                if (!Object.prototype.hasOwnProperty.call(current, segment) && !(last && forAdd)) {
+                    throw new Error(`${pointer}: 路径不存在`);
+                }
+                keys.push(segment);
+                current = current[segment];
+            } else {
+                throw new Error(`${pointer}: 路径不存在`);
+            }
+        });
+        return keys;
+    }
+    
+    _executeResolved(operation) {
+        const { op, path, value, from, delta, expr } = operation;
+        const replaying = this.vm.journal.replaying;
+        
+        // 计算变量只读
+        if (!replaying && op !== 'test') {
+            const readonlyPath = [path, op === 'move' ? from : null].find(p => this.vm.computed.isComputed(p));
+            if (readonlyPath) {
+                return { success: false, error: `${readonlyPath} 是计算变量，不能直接修改` };
+            }
         }
         
-        // 模式校验（如果启用）
-        if (this.vm.schemaValidationEnabled) {
+        // 模式校验（如果启用，撤销/重做时跳过）
+        if (this.vm.schemaValidationEnabled && !replaying) {
             const validation = this.schemaValidator.validate(operation);
             if (!validation.valid) {
                 return { success: false, error: validation.error };
@@ -396,16 +2617,28 @@ class OperationExecutor {
         }
         
         try {
+            // 新集合成员按模板实例化（操作失败时随 execute 的事务一并回滚）
+            const writes = ['add', 'replace', 'increment', 'calc', 'modify', 'move', 'copy', ...OperationExecutor.NUMERIC_OPS];
+            const prepared = !replaying && writes.includes(op) ?
+                this._instantiateTemplates(path, ['add', 'replace'].includes(op) ? value : undefined) : value;
+            
             switch (op) {
-                case 'add': return this._executeAdd(path, value);
+                case 'add': return this._executeAdd(path, prepared, operation.description);
                 case 'remove': return this._executeRemove(path);
-                case 'replace': return this._executeReplace(path, value);
+                case 'replace': return this._executeReplace(path, prepared, operation.description);
                 case 'move': return this._executeMove(from, path);
                 case 'copy': return this._executeCopy(from, path);
                 case 'test': return this._executeTest(operation);
                 case 'increment': return this._executeIncrement(path, delta);
+                case 'multiply':
+                case 'divide':
+                case 'percent':
+                case 'clamp':
+                case 'max':
+                case 'min': return this._executeNumeric(operation);
                 case 'calc': return this._executeCalc(path, expr);
-                case 'modify': return this._executeModify(path, action, value, index);
+                case 'modify': return this._executeModify(operation);
+                case 'merge-patch': return this._executeMergePatch(path, value);
                 default: return { success: false, error: `未知操作: ${op}` };
             }
         } catch (e) {
@@ -413,139 +2646,647 @@ class OperationExecutor {
         }
     }
     
-    _executeAdd(path, value) {
-        const keys = PathParser.parse(path);
+    _executeAdd(path, value, description) {
+        const target = this.vm._resolve(path);
+        const { root, keys } = target;
         const lastKey = keys[keys.length - 1];
         
-        if (lastKey === '-') {
-            const parentPath = keys.slice(0, -1).join('.');
-            const target = this.vm._getByPath(this.vm.statData, parentPath);
-            if (!Array.isArray(target)) {
-                return { success: false, error: `${path} 的父节点不是数组` };
-            }
-            target.push(value);
-        } else if (typeof lastKey === 'number') {
-            const parentPath = keys.slice(0, -1).join('.');
-            const target = this.vm._getByPath(this.vm.statData, parentPath);
-            if (!Array.isArray(target)) {
+        if (lastKey === '-' || typeof lastKey === 'number') {
+            const parentKeys = keys.slice(0, -1);
+            const parent = this.vm._inner(this.vm._getByPath(root, parentKeys));
+            if (!Array.isArray(parent)) {
                 return { success: false, error: `${path} 的父节点不是数组` };
             }
-            target.splice(lastKey, 0, value);
+            const index = lastKey === '-' ? parent.length : lastKey;
+            const trim = this._constrainLength({ ...target, keys: parentKeys }, parent.length + 1);
+            parent.splice(index, 0, value);
+            this._recordInverse({ op: 'remove', path: this._pointer(target, [...parentKeys, index]) });
+            this._trimArray({ ...target, keys: parentKeys }, parent, trim);
         } else {
-            this.vm._setByPath(this.vm.statData, path, value);
+            const prepared = this._prepareValue(target, value, description);
+            value = prepared.value;
+            this._recordWrite(target);
+            this.vm._setByPath(root, keys, prepared.stored);
         }
         
         this.vm._emitChange(path, undefined, value, 'add');
         return { success: true };
     }
     
-    _executeRemove(path) {
-        const oldValue = this.vm.get(path);
-        const keys = PathParser.parse(path);
-        const lastKey = keys[keys.length - 1];
-        
-        if (typeof lastKey === 'number') {
-            const parentPath = keys.slice(0, -1).join('.');
-            const target = this.vm._getByPath(this.vm.statData, parentPath);
-            if (Array.isArray(target)) target.splice(lastKey, 1);
-        } else {
-            this.vm._deleteByPath(this.vm.statData, path);
+    _executeRemove(path, reason = 'remove') {
+        const target = this.vm._resolve(path);
+        const { root, keys } = target;
+        const oldValue = this._read(target);
+        const lastKey = keys[keys.length - 1];
+        
+        this._recordRemove(target);
+        if (typeof lastKey === 'number') {
+            const parent = this.vm._inner(this.vm._getByPath(root, keys.slice(0, -1)));
+            if (Array.isArray(parent)) parent.splice(lastKey, 1);
+        } else {
+            this.vm._deleteByPath(root, keys);
+        }
+        
+        this.vm._emitChange(path, oldValue, undefined, reason);
+        return { success: true };
+    }
+    
+    _executeReplace(path, value, description) {
+        const target = this.vm._resolve(path);
+        const oldValue = this._read(target);
+        const prepared = this._prepareValue(target, value, description);
+        this._recordWrite(target);
+        this.vm._setByPath(target.root, target.keys, prepared.stored);
+        this.vm._emitChange(path, oldValue, prepared.value, 'replace');
+        return { success: true };
+    }
+    
+    _executeMove(from, path) {
+        const source = this.vm._resolve(from);
+        const value = this.vm._getByPath(source.root, source.keys);
+        if (value === undefined) {
+            return { success: false, error: `源路径不存在: ${from}` };
+        }
+        this._executeRemove(from);
+        return this._executeAdd(path, value);
+    }
+    
+    _executeCopy(from, path) {
+        const { value } = this.vm._findRaw(from);
+        if (value === undefined) {
+            return { success: false, error: `源路径不存在: ${from}` };
+        }
+        return this._executeAdd(path, deepClone(value));
+    }
+    
+    _executeTest(operation) {
+        const { path, value } = operation;
+        const currentValue = this.vm.get(path);
+        
+        if ('value' in operation) {
+            if (!PatchDiffer.equal(currentValue, value)) {
+                return { success: false, error: `test 失败: ${path}` };
+            }
+        } else {
+            const condition = { path, ...operation };
+            delete condition.op;
+            if (!this.conditionEvaluator.evaluate(condition)) {
+                return { success: false, error: `test 条件不满足: ${path}` };
+            }
+        }
+        return { success: true };
+    }
+    
+    _executeIncrement(path, delta) {
+        const target = this.vm._resolve(path);
+        const oldValue = this._read(target);
+        if (typeof oldValue !== 'number' && oldValue !== undefined) {
+            return { success: false, error: `increment: ${path} 不是数值` };
+        }
+        const { value: newValue, stored } = this._prepareValue(target, this._round((oldValue || 0) + delta));
+        this._recordWrite(target);
+        this.vm._setByPath(target.root, target.keys, stored);
+        this.vm._emitChange(path, oldValue, newValue, `${delta > 0 ? '+' : ''}${delta}`);
+        return { success: true };
+    }
+    
+    /**
+     * 数值运算：multiply、divide、percent（按百分比增减）、clamp、max、min
+     * max/min 的比较值可以是 value，也可以是 from 指定的另一个路径
+     */
+    _executeNumeric(operation) {
+        const { op, path, from, min, max } = operation;
+        let operand = operation.value;
+        let label = operand;
+        if (op !== 'clamp' && from != null) {
+            operand = this.vm.get(from);
+            label = `${from} (${operand})`;
+        }
+        if (op === 'clamp') {
+            if ([min, max].some(bound => bound != null && typeof bound !== 'number')) {
+                return { success: false, error: 'clamp: 上下限必须是数值' };
+            }
+            if (min != null && max != null && min > max) {
+                return { success: false, error: `clamp: 下限 ${min} 大于上限 ${max}` };
+            }
+        } else if (typeof operand !== 'number' || !Number.isFinite(operand)) {
+            return { success: false, error: `${op}: ${from ?? label} 不是数值` };
+        }
+        if (op === 'divide' && operand === 0) {
+            return { success: false, error: 'divide: 除数不能为 0' };
+        }
+        
+        const target = this.vm._resolve(path);
+        const oldValue = this._read(target);
+        if (typeof oldValue !== 'number') {
+            return { success: false, error: `${op}: ${path} 不是数值` };
+        }
+        const [result, reason] = {
+            multiply: () => [oldValue * operand, `×${label}`],
+            divide: () => [oldValue / operand, `÷${label}`],
+            percent: () => [oldValue * (1 + operand / 100), `${operand > 0 ? '+' : ''}${operand}%`],
+            clamp: () => [Math.min(Math.max(oldValue, min ?? -Infinity), max ?? Infinity), `clamp [${min ?? '-∞'}, ${max ?? '∞'}]`],
+            max: () => [Math.max(oldValue, operand), `max ${label}`],
+            min: () => [Math.min(oldValue, operand), `min ${label}`],
+        }[op]();
+        
+        const { value: newValue, stored } = this._prepareValue(target, this._round(result));
+        this._recordWrite(target);
+        this.vm._setByPath(target.root, target.keys, stored);
+        this.vm._emitChange(path, oldValue, newValue, reason);
+        return { success: true };
+    }
+    
+    /**
+     * 按 vm.precision 对数值运算结果取整，消除浮点误差
+     */
+    _round(value) {
+        const { precision } = this.vm;
+        if (typeof value !== 'number' || !Number.isFinite(value) || precision == null) return value;
+        return Number(value.toFixed(precision));
+    }
+    
+    _executeCalc(path, expr) {
+        let result, rolls;
+        try {
+            ({ value: result, rolls } = this.vm.dice.capture(() => this.calcEngine.calculate(expr)));
+        } catch (e) {
+            return { success: false, error: `calc 计算失败: ${e.message}` };
+        }
+        const target = this.vm._resolve(path);
+        const oldValue = this._read(target);
+        const { value: newValue, stored } = this._prepareValue(target, this._round(result));
+        this._recordWrite(target);
+        this.vm._setByPath(target.root, target.keys, stored);
+        const reason = [`calc: ${expr}`, ...rolls.map(roll => DiceRoller.describe(roll))].join('；');
+        this.vm._emitChange(path, oldValue, newValue, reason);
+        return { success: true };
+    }
+    
+    /**
+     * @param {object} operation - { path, action, value, index, strategy, to, order }
+     *     strategy 为 merge 时数组的合并方式：'concat'（默认）、'replace'、'union'，
+     *     或 { key: '名称', sum: ['数量'] } 按键字段匹配元素，sum 中的字段相加
+     */
+    _executeModify(operation) {
+        const { path, action, value, strategy = 'concat' } = operation;
+        let { index } = operation;
+        const resolved = this.vm._resolve(path);
+        const target = this._read(resolved);
+        const keys = resolved.keys;
+        const removeAt = (i) => this._recordInverse({ op: 'remove', path: this._pointer(resolved, [...keys, i]) });
+        
+        if (OperationExecutor.ARRAY_ACTIONS.includes(action)) {
+            if (!Array.isArray(target)) return { success: false, error: `${path} 不是数组` };
+            return this._executeArrayAction(resolved, target, operation);
+        }
+        
+        if (action === 'merge' && (strategy !== 'concat' || !Array.isArray(target))) {
+            if (target === null || typeof target !== 'object') {
+                return { success: false, error: `${path} 不是数组或对象` };
+            }
+            if (Array.isArray(target) !== Array.isArray(value) || value === null || typeof value !== 'object') {
+                return { success: false, error: Array.isArray(target) ? 'merge 值必须是数组' : 'merge 值必须是对象' };
+            }
+            return this._executeDeepMerge(resolved, value, strategy);
+        }
+        
+        if (Array.isArray(target)) {
+            const added = action === 'merge' && Array.isArray(value) ? value.length : 1;
+            const trim = ['append', 'prepend', 'insert', 'merge'].includes(action) ?
+                this._constrainLength(resolved, target.length + added) : 0;
+            switch (action) {
+                case 'append':
+                    removeAt(target.length);
+                    target.push(value);
+                    break;
+                case 'prepend':
+                    removeAt(0);
+                    target.unshift(value);
+                    break;
+                case 'insert':
+                    if (typeof index !== 'number') return { success: false, error: 'insert 需要 index' };
+                    if (index < 0) index = Math.max(0, target.length + index);
+                    removeAt(index);
+                    target.splice(index, 0, value);
+                    break;
+                case 'merge':
+                    if (!Array.isArray(value)) return { success: false, error: 'merge 值必须是数组' };
+                    value.forEach((_, i) => removeAt(target.length + i));
+                    target.push(...value);
+                    break;
+                default: return { success: false, error: `未知 action: ${action}` };
+            }
+            this._trimArray(resolved, target, trim);
+        } else if (typeof target === 'object' && target !== null) {
+            return { success: false, error: '对象只支持 merge' };
+        } else {
+            return { success: false, error: `${path} 不是数组或对象` };
+        }
+        
+        this.vm._emitChange(path, '[modified]', target, `modify:${action}`);
+        return { success: true };
+    }
+    
+    /**
+     * 数组的删除、排序、去重等操作，转换为逐个元素的 remove/add/replace 执行，任一失败则全部撤回
+     */
+    _executeArrayAction(target, array, operation) {
+        const { action, value, to, order = 'asc' } = operation;
+        const elementPath = (i) => this._pointer(target, [...target.keys, i]);
+        const element = (i) => this.vm._unwrap(array[i]);
+        // 从后往前删除，避免下标移动
+        const removeAll = (list) => list.sort((a, b) => b - a).map(i => ({ op: 'remove', path: elementPath(i) }));
+        let operations;
+        
+        switch (action) {
+            case 'remove': {
+                const found = array.map((_, i) => i).filter(i => PatchDiffer.equal(element(i), value));
+                if (found.length === 0) return { success: true, skipped: true };
+                operations = removeAll(found);
+                break;
+            }
+            case 'removeWhere': {
+                // 条件中的 path 相对于元素，省略 path 时比较元素本身
+                const read = (item) => (path) => this.vm._unwrap(this.vm._getByPath(item, path ?? ''));
+                const matches = array.map((_, i) => i).filter(i => this.conditionEvaluator.evaluate(value, {}, read(element(i))));
+                operations = removeAll(matches);
+                break;
+            }
+            case 'pop':
+            case 'shift': {
+                if (array.length === 0) return { success: true, skipped: true };
+                const i = action === 'pop' ? array.length - 1 : 0;
+                operations = [
+                    ...(to != null ? [{ op: 'add', path: to, value: deepClone(element(i)) }] : []),
+                    { op: 'remove', path: elementPath(i) },
+                ];
+                break;
+            }
+            case 'sort': {
+                if (!['asc', 'desc'].includes(order)) return { success: false, error: `未知排序方向: ${order}` };
+                const sortKey = (item) => value == null ? this.vm._unwrap(item) :
+                    this.vm._unwrap(this.vm._getByPath(this.vm._unwrap(item), value));
+                const sorted = [...array].sort((a, b) => {
+                    const x = sortKey(a), y = sortKey(b);
+                    // 缺少排序键的元素总是排在最后
+                    if (x === undefined || y === undefined) return (x === undefined) - (y === undefined);
+                    const result = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+                    return order === 'desc' ? -result : result;
+                });
+                operations = [{ op: 'replace', path: this._pointer(target, target.keys), value: sorted }];
+                break;
+            }
+            case 'unique': {
+                // value 为字段名时按该字段去重，保留第一次出现的元素
+                const identity = (item) => value == null ? item : this.vm._unwrap(this.vm._getByPath(item, value));
+                const seen = [];
+                const duplicates = [];
+                array.forEach((_, i) => {
+                    const id = identity(element(i));
+                    if (seen.some(other => PatchDiffer.equal(other, id))) duplicates.push(i);
+                    else seen.push(id);
+                });
+                operations = removeAll(duplicates);
+                break;
+            }
+            case 'addUnique':
+                if (array.some((_, i) => PatchDiffer.equal(element(i), value))) return { success: true, skipped: true };
+                operations = [{ op: 'add', path: this._pointer(target, [...target.keys, '-']), value }];
+                break;
+            case 'truncate': {
+                // 正数保留前 n 个，负数保留后 n 个
+                if (!Number.isInteger(value)) return { success: false, error: 'truncate 需要整数长度' };
+                const keep = Math.min(Math.abs(value), array.length);
+                const start = value >= 0 ? keep : 0;
+                const end = value >= 0 ? array.length : array.length - keep;
+                operations = removeAll(array.map((_, i) => i).slice(start, end));
+                break;
+            }
+        }
+        return this._executeAll(operations);
+    }
+    
+    /**
+     * 深度合并：先算出合并结果，再与当前值比较后逐项写入
+     * 每个叶子单独经过模式校验并触发变化事件，任一失败则全部撤回
+     */
+    _executeDeepMerge(target, value, strategy) {
+        if (!['concat', 'replace', 'union'].includes(strategy) &&
+            (strategy === null || typeof strategy !== 'object' || typeof strategy.key !== 'string')) {
+            return { success: false, error: `未知合并策略: ${JSON.stringify(strategy)}` };
+        }
+        const current = this.vm._getByPath(target.root, target.keys);
+        const merged = this._deepMerge(current, value, strategy);
+        return this._executeAll(PatchDiffer.diff(current, merged, { includeMeta: true, prefix: this._pointer(target, target.keys) }));
+    }
+    
+    _deepMerge(current, value, strategy) {
+        const description = this.vm._isTuple(current) ? current[1] : null;
+        const base = this.vm._unwrap(current);
+        const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+        let result;
+        if (Array.isArray(base) && Array.isArray(value)) {
+            result = this._mergeArrays(base, value, strategy);
+        } else if (isObject(base) && isObject(value)) {
+            result = { ...base };
+            for (const [key, child] of Object.entries(value)) {
+                result[key] = key in base ? this._deepMerge(base[key], child, strategy) : deepClone(child);
+            }
+        } else {
+            result = deepClone(value);
+        }
+        return description !== null ? [result, description] : result;
+    }
+    
+    _mergeArrays(base, items, strategy) {
+        if (strategy === 'replace') return deepClone(items);
+        if (strategy === 'concat') return [...base, ...deepClone(items)];
+        
+        const unwrap = (v) => this.vm._unwrap(v);
+        if (strategy === 'union') {
+            // 结果中每个值只出现一次，原数组中已有的重复元素也只保留第一个
+            const result = [];
+            const values = [];
+            const append = (element, value) => {
+                if (values.some(existing => PatchDiffer.equal(existing, value))) return;
+                values.push(value);
+                result.push(element);
+            };
+            base.forEach(element => append(element, unwrap(element)));
+            items.forEach(item => append(deepClone(item), item));
+            return result;
+        }
+        
+        const result = [...base];
+        for (const item of items) {
+            // 按键字段匹配：找不到匹配元素时追加
+            const { key, sum = [] } = strategy;
+            const index = item !== null && typeof item === 'object' && key in item ?
+                result.findIndex(existing => {
+                    const element = unwrap(existing);
+                    return element !== null && typeof element === 'object' && PatchDiffer.equal(unwrap(element[key]), item[key]);
+                }) : -1;
+            if (index === -1) {
+                result.push(deepClone(item));
+                continue;
+            }
+            const element = unwrap(result[index]);
+            const patch = { ...item };
+            for (const field of [].concat(sum)) {
+                const old = unwrap(element[field]);
+                if (typeof old === 'number' && typeof patch[field] === 'number') patch[field] = old + patch[field];
+            }
+            result[index] = this._deepMerge(result[index], patch, strategy);
+        }
+        return result;
+    }
+    
+    /**
+     * 处理到期的限时变量：当前值仍是限时写入的值时还原或删除，已被其他操作修改则不再处理
+     * @param {object} entry - { path, value, revert? }
+     * @returns {boolean} 是否做了修改
+     */
+    _expire(entry) {
+        const target = this.vm._resolve(entry.path);
+        if (!PatchDiffer.equal(this._read(target), entry.value)) return false;
+        if ('revert' in entry) {
+            this._writeDirect(entry.path, entry.revert, '到期');
+        } else {
+            this._executeRemove(entry.path, '到期');
+        }
+        return true;
+    }
+    
+    /**
+     * 直接写入值，不经过条件、模式和只读检查（供计算变量等内部机制使用）
+     */
+    _writeDirect(path, value, reason) {
+        const target = this.vm._resolve(path);
+        const oldValue = this._read(target);
+        const { description } = this._splitDescription(target, value);
+        this._recordWrite(target);
+        this.vm._setByPath(target.root, target.keys, description ? [value, description] : value);
+        this.vm._emitChange(path, oldValue, value, reason);
+    }
+    
+    /**
+     * 将路径中的负数索引和过滤段换算为实际位置（-1 为最后一个元素，过滤段必须恰好匹配一个元素）
+     * @returns {string} 不含负数索引和过滤段时原样返回，否则返回 JSON Pointer 形式的路径
+     */
+    _concretePath(path) {
+        if (path == null) return path;
+        const target = this.vm._resolve(path);
+        if (!target.keys.some(key => (typeof key === 'number' && key < 0) || key instanceof PathFilter)) return path;
+        
+        let current = target.root;
+        const keys = target.keys.map(key => {
+            current = this.vm._inner(current);
+            if (key instanceof PathFilter) {
+                const matches = this.vm._filter(key, current);
+                if (matches.length !== 1) {
+                    throw new Error(matches.length === 0 ?
+                        `${path}: [${key}] 没有匹配的元素` :
+                        `${path}: [${key}] 匹配到 ${matches.length} 个元素，需要恰好 1 个`);
+                }
+                key = matches[0];
+            } else if (typeof key === 'number' && key < 0) {
+                if (!Array.isArray(current) || current.length + key < 0) {
+                    throw new Error(`${path} 索引越界`);
+                }
+                key = current.length + key;
+            }
+            current = current?.[key];
+            return key;
+        });
+        return this._pointer(target, keys);
+    }
+    
+    /**
+     * 写入路径经过带 $meta.template 的集合且成员不存在时，先按模板创建成员
+     * 直接写入整个成员时，模板默认值与写入的值合并
+     * 父对象的字段约束中声明了子对象的 meta（来自 JSON Schema）而子对象不存在时，同样先创建带该 $meta 的子对象
+     * @param {string} path - 写入路径
+     * @param {*} value - 写入的值（add/replace）
+     * @returns {*} 实际写入的值
+     */
+    _instantiateTemplates(path, value) {
+        const target = this.vm._resolve(path);
+        const { root, keys } = target;
+        let node = root;
+        
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+            node = this.vm._inner(node);
+            if (!node || typeof node !== 'object' || Array.isArray(node)) break;
+            
+            const template = node.$meta?.template;
+            const isCollection = template && typeof template === 'object' && !Array.isArray(template);
+            if (isCollection && typeof key === 'string' && key !== '-' && node[key] === undefined) {
+                const memberKeys = keys.slice(0, i + 1);
+                const isLeaf = i === keys.length - 1;
+                if (isLeaf && (value === null || typeof value !== 'object' || Array.isArray(value))) break;
+                
+                const instance = SchemaValidator.instantiate(template);
+                const member = isLeaf ? { ...instance, ...value } : { ...instance, [keys[i + 1]]: true };
+                const missing = SchemaValidator.missingRequired(template, member);
+                if (missing.length && this.vm.schemaValidationEnabled) {
+                    throw new Error(`[Schema] ${this.schemaValidator.pointerOf(target, memberKeys)} 缺少必需字段 ${missing.join(', ')}`);
+                }
+                if (isLeaf) return { ...instance, ...value };
+                
+                this._recordWrite({ ...target, keys: memberKeys });
+                node[key] = instance;
+                this.vm._emitChange(PathParser.format(memberKeys, target.scope), undefined, instance, 'template');
+            }
+            
+            const declared = node.$meta?.fields?.[key]?.meta;
+            if (declared && typeof key === 'string' && node[key] === undefined) {
+                const childKeys = keys.slice(0, i + 1);
+                const isLeaf = i === keys.length - 1;
+                if (isLeaf && (value === null || typeof value !== 'object' || Array.isArray(value))) break;
+                
+                const instance = SchemaValidator.fromMeta(declared);
+                if (isLeaf) return { ...instance, ...value, $meta: { ...instance.$meta, ...(value.$meta || {}) } };
+                
+                const missing = SchemaValidator.missingRequired(instance, { ...instance, [keys[i + 1]]: true });
+                if (missing.length && this.vm.schemaValidationEnabled) {
+                    throw new Error(`[Schema] ${this.schemaValidator.pointerOf(target, childKeys)} 缺少必需字段 ${missing.join(', ')}`);
+                }
+                this._recordWrite({ ...target, keys: childKeys });
+                node[key] = instance;
+                this.vm._emitChange(PathParser.format(childKeys, target.scope), undefined, instance, 'schema');
+            }
+            node = node[key];
+        }
+        return value;
+    }
+    
+    /**
+     * 拆分将要写入的值和描述：
+     * 值本身是 [值, 描述] 时使用其中的描述，否则保留原变量的描述
+     * @param {string|null} [description] - 显式指定的描述，null 表示去掉描述
+     * @returns {{ value: any, description: string|null }}
+     */
+    _splitDescription(target, value, description) {
+        if (this.vm._isTuple(value)) {
+            return { value: value[0], description: description === undefined ? value[1] : description };
+        }
+        if (description !== undefined || this.vm.journal.replaying) {
+            return { value, description: description ?? null };
+        }
+        const current = this.vm._getByPath(target.root, target.keys);
+        // 原变量是列表而新值不是（或相反）时不当作描述
+        const keep = this.vm._isTuple(current) && Array.isArray(current[0]) === Array.isArray(value);
+        return { value, description: keep ? current[1] : null };
+    }
+    
+    /**
+     * 准备写入：拆分描述并检查字段约束
+     * @returns {{ value: any, stored: any }} value 为变量值，stored 为实际写入的（可能带描述的）值
+     */
+    _prepareValue(target, value, description) {
+        const split = this._splitDescription(target, value, description);
+        if (!this.vm.journal.replaying) {
+            split.value = this.schemaValidator.keepMeta(this.vm._getByPath(target.root, target.keys), split.value);
         }
-        
-        this.vm._emitChange(path, oldValue, undefined, 'remove');
-        return { success: true };
+        const checked = this._constrain(target, split.value);
+        return { value: checked, stored: split.description ? [checked, split.description] : checked };
     }
     
-    _executeReplace(path, value) {
-        const oldValue = this.vm.get(path);
-        this.vm._setByPath(this.vm.statData, path, value);
-        this.vm._emitChange(path, oldValue, value, 'replace');
-        return { success: true };
+    /**
+     * 按 $meta.fields 约束检查将要写入的值（需启用模式校验）
+     * @returns {*} 最终写入的值（可能被限幅）
+     */
+    _constrain(target, value) {
+        if (!this.vm.schemaValidationEnabled || this.vm.journal.replaying) return value;
+        const check = this.schemaValidator.checkValue(target, value);
+        if (!check.valid) throw new Error(check.error);
+        return check.value;
     }
     
-    _executeMove(from, path) {
-        const value = this.vm.get(from);
-        if (value === undefined) {
-            return { success: false, error: `源路径不存在: ${from}` };
-        }
-        this._executeRemove(from);
-        return this._executeAdd(path, value);
+    /**
+     * 检查数组新增元素后的长度约束
+     * @returns {number} 限幅时需要从头部移除的元素数
+     */
+    _constrainLength(target, length) {
+        if (!this.vm.schemaValidationEnabled || this.vm.journal.replaying) return 0;
+        const check = this.schemaValidator.checkLength(target, length);
+        if (!check.valid) throw new Error(check.error);
+        return check.trim;
     }
     
-    _executeCopy(from, path) {
-        const value = this.vm.get(from);
-        if (value === undefined) {
-            return { success: false, error: `源路径不存在: ${from}` };
+    /**
+     * 从数组头部移除多余元素（记录逆向操作）
+     */
+    _trimArray(target, array, count) {
+        for (let i = 0; i < count; i++) {
+            this._recordInverse({ op: 'add', path: this._pointer(target, [...target.keys, 0]), value: deepClone(array[0]) });
+            array.shift();
         }
-        return this._executeAdd(path, deepClone(value));
     }
     
-    _executeTest(operation) {
-        const { path, value } = operation;
-        const currentValue = this.vm.get(path);
-        
-        if ('value' in operation) {
-            if (JSON.stringify(currentValue) !== JSON.stringify(value)) {
-                return { success: false, error: `test 失败: ${path}` };
-            }
-        } else {
-            const condition = { path, ...operation };
-            delete condition.op;
-            if (!this.conditionEvaluator.evaluate(condition)) {
-                return { success: false, error: `test 条件不满足: ${path}` };
-            }
-        }
-        return { success: true };
+    /**
+     * 读取写入目标作用域中的值（不做作用域分层查找）
+     * @param {{ root: object, keys: Array }} target - vm._resolve 的结果
+     */
+    _read(target) {
+        return this.vm._unwrap(this.vm._getByPath(target.root, target.keys));
     }
     
-    _executeIncrement(path, delta) {
-        const oldValue = this.vm.get(path);
-        if (typeof oldValue !== 'number' && oldValue !== undefined) {
-            return { success: false, error: `increment: ${path} 不是数值` };
-        }
-        const newValue = (oldValue || 0) + delta;
-        this.vm._setByPath(this.vm.statData, path, newValue);
-        this.vm._emitChange(path, oldValue, newValue, `${delta > 0 ? '+' : ''}${delta}`);
-        return { success: true };
+    // ========== 逆向补丁记录 ==========
+    
+    _recordInverse(inverseOp) {
+        this.vm.journal.record(inverseOp);
     }
     
-    _executeCalc(path, expr) {
-        const result = this.calcEngine.evaluate(expr);
-        if (result === null) {
-            return { success: false, error: `calc 计算失败: ${expr}` };
-        }
-        const oldValue = this.vm.get(path);
-        this.vm._setByPath(this.vm.statData, path, result);
-        this.vm._emitChange(path, oldValue, result, `calc: ${expr}`);
-        return { success: true };
+    /**
+     * 生成带作用域前缀的 JSON Pointer
+     */
+    _pointer(target, keys) {
+        const pointer = PathParser.toPointer(keys);
+        return target.scope === 'chat' ? pointer : `${target.scope}:${pointer}`;
     }
     
-    _executeModify(path, action, value, index) {
-        const target = this.vm.get(path);
+    /**
+     * 写入前记录逆向操作：原本存在则还原旧值，否则删除新建的最外层节点
+     */
+    _recordWrite(target) {
+        if (!this.vm.journal.isRecording()) return;
         
-        if (Array.isArray(target)) {
-            switch (action) {
-                case 'append': target.push(value); break;
-                case 'prepend': target.unshift(value); break;
-                case 'insert':
-                    if (typeof index !== 'number') return { success: false, error: 'insert 需要 index' };
-                    target.splice(index, 0, value);
-                    break;
-                case 'merge':
-                    if (Array.isArray(value)) target.push(...value);
-                    else return { success: false, error: 'merge 值必须是数组' };
-                    break;
-                default: return { success: false, error: `未知 action: ${action}` };
+        const { keys } = target;
+        let current = target.root;
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+            current = this.vm._inner(current);
+            if (key === '-' && Array.isArray(current)) {
+                this._recordInverse({ op: 'remove', path: this._pointer(target, [...keys.slice(0, i), current.length]) });
+                return;
             }
-        } else if (typeof target === 'object' && target !== null) {
-            if (action === 'merge' && typeof value === 'object') Object.assign(target, value);
-            else return { success: false, error: '对象只支持 merge' };
-        } else {
-            return { success: false, error: `${path} 不是数组或对象` };
+            if (current === null || typeof current !== 'object') {
+                this._recordInverse({ op: 'replace', path: this._pointer(target, keys.slice(0, i)), value: current });
+                return;
+            }
+            if (!(key in current)) {
+                this._recordInverse({ op: 'remove', path: this._pointer(target, keys.slice(0, i + 1)) });
+                return;
+            }
+            if (i === keys.length - 1) {
+                this._recordInverse({ op: 'replace', path: this._pointer(target, keys), value: deepClone(current[key]) });
+                return;
+            }
+            current = current[key];
         }
-        
-        this.vm._emitChange(path, '[modified]', target, `modify:${action}`);
-        return { success: true };
+    }
+    
+    /**
+     * 删除前记录逆向操作：在原位置重新添加旧值
+     */
+    _recordRemove(target) {
+        if (!this.vm.journal.isRecording()) return;
+        const oldValue = this.vm._getByPath(target.root, target.keys);
+        if (oldValue === undefined) return;
+        this._recordInverse({ op: 'add', path: this._pointer(target, target.keys), value: deepClone(oldValue) });
     }
 }
 
@@ -553,6 +3294,7 @@ class OperationExecutor {
 
 /**
  * 批量执行器 - 支持原子操作
+ * 原子批量失败时按逆向补丁撤回已执行的操作，代价只与批量修改的内容有关
  */
 class BatchExecutor {
     constructor(variableManager) {
@@ -563,14 +3305,24 @@ class BatchExecutor {
     /**
      * 批量执行操作
      * @param {Array} operations - 操作数组
-     * @param {object} options - { atomic: boolean }
+     * @param {object} options - { atomic: boolean, strict: 本批次是否使用严格 RFC 6902 模式 }
      */
     execute(operations, options = {}) {
-        const { atomic = false } = options;
+        const { atomic = false, strict } = options;
+        const strictMode = this.vm.strictMode;
+        if (strict !== undefined) this.vm.strictMode = strict;
+        try {
+            return this._execute(operations, atomic);
+        } finally {
+            this.vm.strictMode = strictMode;
+        }
+    }
+    
+    _execute(operations, atomic) {
         const results = [];
         const errors = [];
         
-        let snapshot = atomic ? deepClone(this.vm.statData) : null;
+        const transaction = this.vm._beginTransaction();
         
         for (let i = 0; i < operations.length; i++) {
             const result = this.executor.execute(operations[i]);
@@ -579,16 +3331,332 @@ class BatchExecutor {
             if (!result.success && !result.skipped) {
                 errors.push({ index: i, operation: operations[i], error: result.error });
                 if (atomic) {
-                    this.vm.statData = snapshot;
+                    this.vm._rollbackTransaction(transaction);
                     return { success: false, results, errors, rollback: true };
                 }
             }
         }
         
+        this.vm._commitTransaction(`batch (${operations.length})`);
         return { success: errors.length === 0, results, errors };
     }
 }
 
+// ==================== 状态差异 ====================
+
+/**
+ * 状态差异 - 比较两个状态，生成 RFC 6902 JSON Patch
+ * 数组去掉首尾相同的部分后按编辑距离对齐，相同元素换位置时生成 move
+ * 默认不比较引擎内部状态 $runtime（回合、限时记录、定时任务、随机数）
+ */
+class PatchDiffer {
+    /** 数组对齐矩阵的最大单元数，超过时按位置比较 */
+    static MAX_CELLS = 250000;
+    
+    /**
+     * 生成从 before 到 after 的补丁
+     * @param {*} before - 原状态
+     * @param {*} after - 新状态
+     * @param {object} options - { includeMeta: 是否比较 $meta, includeRuntime: 是否比较 $runtime,
+     *   prefix: 路径前缀（JSON Pointer），raw: 按普通 JSON 比较（不识别 [值, 描述]），结果可用 PatchDiffer.apply 应用 }
+     * @returns {Array} 操作数组
+     */
+    static diff(before, after, options = {}) {
+        const { includeMeta = false, includeRuntime = false, prefix = '', raw = false } = options;
+        const ops = [];
+        PatchDiffer._diffValue(before, after, prefix, ops, { includeMeta, includeRuntime, raw });
+        return ops;
+    }
+    
+    static _diffValue(before, after, path, ops, options) {
+        if (PatchDiffer.equal(before, after, options.includeMeta)) return;
+        
+        // [值, 描述]：描述不变时只比较值，写入时描述会被保留
+        const beforeTuple = !options.raw && PatchDiffer._isTuple(before);
+        const afterTuple = !options.raw && PatchDiffer._isTuple(after);
+        if (beforeTuple && afterTuple && before[1] === after[1]) {
+            PatchDiffer._diffValue(before[0], after[0], path, ops, options);
+            return;
+        }
+        if (beforeTuple || afterTuple) {
+            const op = { op: 'replace', path, value: deepClone(after) };
+            // 去掉描述
+            if (beforeTuple && !afterTuple) op.description = null;
+            ops.push(op);
+            return;
+        }
+        
+        if (Array.isArray(before) && Array.isArray(after)) {
+            PatchDiffer._diffArray(before, after, path, ops, options);
+        } else if (PatchDiffer._isObject(before) && PatchDiffer._isObject(after)) {
+            PatchDiffer._diffObject(before, after, path, ops, options);
+        } else {
+            ops.push({ op: 'replace', path, value: deepClone(after) });
+        }
+    }
+    
+    static _diffObject(before, after, path, ops, options) {
+        const skip = key => (key === '$meta' && !options.includeMeta) || (key === '$runtime' && !options.includeRuntime);
+        for (const key of Object.keys(before)) {
+            if (skip(key) || key in after) continue;
+            ops.push({ op: 'remove', path: path + PathParser.toPointer([key]) });
+        }
+        for (const key of Object.keys(after)) {
+            if (skip(key)) continue;
+            const childPath = path + PathParser.toPointer([key]);
+            if (!(key in before)) {
+                ops.push({ op: 'add', path: childPath, value: deepClone(after[key]) });
+            } else {
+                PatchDiffer._diffValue(before[key], after[key], childPath, ops, options);
+            }
+        }
+    }
+    
+    static _diffArray(before, after, path, ops, options) {
+        const { includeMeta } = options;
+        const n = before.length;
+        const m = after.length;
+        const same = (i, j) => PatchDiffer.equal(before[i], after[j], includeMeta);
+        // 同为容器的元素可以就地修改
+        const similar = (i, j) => (Array.isArray(before[i]) && Array.isArray(after[j])) ||
+            (PatchDiffer._isObject(before[i]) && PatchDiffer._isObject(after[j]));
+        
+        // source[j] 为 after[j] 对应的 before 下标（-1 表示新元素）
+        const source = new Array(m).fill(-1);
+        const modified = new Set();
+        const deleted = [];
+        
+        // 首尾相同的部分直接对应，只对齐中间 [head, n - tail) 与 [head, m - tail)
+        let head = 0;
+        while (head < n && head < m && same(head, head)) source[head] = head++;
+        let tail = 0;
+        while (tail < n - head && tail < m - head && same(n - 1 - tail, m - 1 - tail)) {
+            source[m - 1 - tail] = n - 1 - tail;
+            tail++;
+        }
+        const endN = n - tail;
+        const endM = m - tail;
+        
+        if ((endN - head) * (endM - head) > PatchDiffer.MAX_CELLS) {
+            // 中间部分过大时按位置对应：逐项比较，多出的元素删除或添加
+            for (let k = head; k < Math.min(endN, endM); k++) {
+                source[k] = k;
+                if (!same(k, k)) modified.add(k);
+            }
+            for (let k = endM; k < endN; k++) deleted.push(k);
+        } else {
+            // 编辑距离：保留 0，就地修改 1，删除/插入 1（cost[i - head][j - head]）
+            const cost = Array.from({ length: endN - head + 1 }, () => new Array(endM - head + 1).fill(0));
+            const at = (i, j) => cost[i - head][j - head];
+            for (let i = endN; i >= head; i--) {
+                for (let j = endM; j >= head; j--) {
+                    let value;
+                    if (i === endN) value = endM - j;
+                    else if (j === endM) value = endN - i;
+                    else if (same(i, j)) value = at(i + 1, j + 1);
+                    else value = 1 + Math.min(at(i + 1, j), at(i, j + 1), similar(i, j) ? at(i + 1, j + 1) : Infinity);
+                    cost[i - head][j - head] = value;
+                }
+            }
+            
+            // 回溯
+            let i = head;
+            let j = head;
+            while (i < endN || j < endM) {
+                if (i < endN && j < endM && same(i, j) && at(i, j) === at(i + 1, j + 1)) {
+                    source[j++] = i++;
+                } else if (i < endN && j < endM && similar(i, j) && at(i, j) === 1 + at(i + 1, j + 1)) {
+                    modified.add(j);
+                    source[j++] = i++;
+                } else if (i < endN && (j === endM || at(i, j) === 1 + at(i + 1, j))) {
+                    deleted.push(i++);
+                } else {
+                    j++;
+                }
+            }
+        }
+        
+        // 删除的元素与新元素相同时改为移动
+        const removed = [];
+        for (const index of deleted) {
+            const target = source.findIndex((src, k) => src === -1 && PatchDiffer.equal(before[index], after[k], includeMeta));
+            if (target === -1) removed.push(index);
+            else source[target] = index;
+        }
+        
+        // 按顺序生成操作，work 模拟执行过程中数组里的元素
+        const work = before.map((_, index) => index);
+        for (const index of removed.sort((a, b) => b - a)) {
+            ops.push({ op: 'remove', path: path + PathParser.toPointer([index]) });
+            work.splice(index, 1);
+        }
+        for (let k = 0; k < m; k++) {
+            const elementPath = path + PathParser.toPointer([k]);
+            if (source[k] === -1) {
+                ops.push({ op: 'add', path: elementPath, value: deepClone(after[k]) });
+                work.splice(k, 0, -1);
+                continue;
+            }
+            const from = work[k] === source[k] ? k : work.indexOf(source[k]);
+            if (from !== k) {
+                ops.push({ op: 'move', from: path + PathParser.toPointer([from]), path: elementPath });
+                work.splice(from, 1);
+                work.splice(k, 0, source[k]);
+            }
+            if (modified.has(k)) {
+                PatchDiffer._diffValue(before[source[k]], after[k], elementPath, ops, options);
+            }
+        }
+    }
+    
+    /**
+     * 深度比较（对象键顺序无关）
+     */
+    static equal(a, b, includeMeta = true) {
+        if (a === b) return true;
+        if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        if (Array.isArray(a)) {
+            return a.length === b.length && a.every((item, index) => PatchDiffer.equal(item, b[index], includeMeta));
+        }
+        const keys = Object.keys(a).filter(key => includeMeta || key !== '$meta');
+        const otherKeys = Object.keys(b).filter(key => includeMeta || key !== '$meta');
+        return keys.length === otherKeys.length &&
+            keys.every(key => key in b && PatchDiffer.equal(a[key], b[key], includeMeta));
+    }
+    
+    static _isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    static _isTuple(value) {
+        return Array.isArray(value) && value.length === 2 && typeof value[1] === 'string';
+    }
+    
+    /**
+     * 将 diff(..., { raw: true }) 生成的补丁应用到普通 JSON 值上，返回新值（不修改原值）
+     * @param {*} document - 原值
+     * @param {Array} patch - add/remove/replace/move 操作数组
+     */
+    static apply(document, patch) {
+        const holder = { value: deepClone(document) };
+        const locate = (pointer) => {
+            let parent = holder;
+            let key = 'value';
+            for (const token of pointer ? pointer.slice(1).split('/') : []) {
+                parent = parent[key];
+                const name = token.replace(/~1/g, '/').replace(/~0/g, '~');
+                key = Array.isArray(parent) ? Number(name) : name;
+            }
+            return { parent, key };
+        };
+        const remove = (pointer) => {
+            const { parent, key } = locate(pointer);
+            const value = parent[key];
+            if (Array.isArray(parent)) parent.splice(key, 1);
+            else delete parent[key];
+            return value;
+        };
+        const add = (pointer, value) => {
+            const { parent, key } = locate(pointer);
+            if (Array.isArray(parent)) parent.splice(key, 0, value);
+            else parent[key] = value;
+        };
+        
+        for (const operation of patch) {
+            switch (operation.op) {
+                case 'add': add(operation.path, deepClone(operation.value)); break;
+                case 'remove': remove(operation.path); break;
+                case 'replace': {
+                    const { parent, key } = locate(operation.path);
+                    parent[key] = deepClone(operation.value);
+                    break;
+                }
+                case 'move': add(operation.path, remove(operation.from)); break;
+                default: throw new Error(`不支持的补丁操作: ${operation.op}`);
+            }
+        }
+        return holder.value;
+    }
+}
+
+// ==================== 变化历史 ====================
+
+/**
+ * 变化历史 - 结构化记录每次变量变化
+ * 条目格式：{ path, oldValue, newValue, reason, source, messageId, swipeId, timestamp }
+ */
+class ChangeLog {
+    constructor(limit = 500) {
+        this.limit = limit;
+        this.entries = [];
+    }
+    
+    /**
+     * 记录一条变化
+     */
+    record(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+    }
+    
+    /**
+     * 查询变化历史
+     * @param {object} options - { prefix, since, until, source, messageId, limit }
+     * @returns {Array} 按时间顺序排列的条目
+     */
+    query(options = {}) {
+        const { prefix, since, until, source, messageId, limit } = options;
+        const prefixKeys = prefix ? PathParser.parse(prefix) : null;
+        
+        let result = this.entries.filter(entry => {
+            if (prefixKeys && !ChangeLog.matchesPrefix(entry.path, prefixKeys)) return false;
+            if (since !== undefined && entry.timestamp < since) return false;
+            if (until !== undefined && entry.timestamp > until) return false;
+            if (source !== undefined && entry.source !== source) return false;
+            if (messageId !== undefined && entry.messageId !== messageId) return false;
+            return true;
+        });
+        
+        if (limit !== undefined) result = result.slice(-limit);
+        return result;
+    }
+    
+    /**
+     * 只保留满足条件的条目
+     * @param {function} keep - (entry) => boolean
+     */
+    prune(keep) {
+        this.entries = this.entries.filter(keep);
+    }
+    
+    clear() {
+        this.entries = [];
+    }
+    
+    /**
+     * 格式化为 "旧值 → 新值 (原因)"
+     */
+    static format(entry) {
+        const { oldValue, newValue, reason } = entry;
+        const text = (v) => (v !== null && typeof v === 'object') ? JSON.stringify(v) : v;
+        return reason ?
+            `${text(oldValue)} → ${text(newValue)} (${reason})` :
+            `${text(oldValue)} → ${text(newValue)}`;
+    }
+    
+    /**
+     * 判断路径是否位于前缀之下
+     */
+    static matchesPrefix(path, prefixKeys) {
+        const keys = PathParser.parse(path);
+        if (keys.length < prefixKeys.length) return false;
+        return prefixKeys.every((key, i) => String(key) === String(keys[i]));
+    }
+}
+
 // ==================== 核心类 ====================
 
 /**
@@ -596,7 +3664,12 @@ class BatchExecutor {
  */
 class VariableManager {
     constructor() {
-        this.statData = {};
+        this.statData = {}; // chat 作用域
+        this.scopeData = {
+            global: {},     // 所有聊天共享
+            character: null, // 跟随角色卡，无角色卡时为 null
+            temp: {},       // 单次生成的临时数据
+        };
         this.displayData = {};
         this.deltaData = {};
         this.schema = null;
@@ -604,6 +3677,57 @@ class VariableManager {
         this.batchExecutor = null;
         this.schemaValidator = null;
         this.schemaValidationEnabled = false; // 默认关闭模式校验
+        this.strictMode = false; // 严格 RFC 6902 模式
+        this.precision = 6; // 数值运算结果保留的小数位数，null 表示不取整
+        this.functions = new Map(); // 表达式中可调用的自定义函数 name → fn
+        this.journal = new OperationJournal();
+        this.changeLog = new ChangeLog();
+        this.changeContext = { source: 'api', messageId: null, swipeId: null };
+        this.computed = new ComputedRegistry(this);
+        this.rules = new RuleEngine(this);
+        this.scheduler = new Scheduler(this);
+        this.dice = new DiceRoller(this);
+        this._pendingChanges = []; // 等待处理连带变化的记录 { path, oldValue, newValue, ruleId }
+        this._transactions = 0; // 进行中的可回滚事务层数
+        this._viewLog = []; // 事务中 display/delta 视图被覆盖前的值 { view, keys, value }
+        this._executeDepth = 0;
+        this.maxSettlePasses = 50;
+    }
+    
+    /**
+     * 在指定来源上下文中执行（用于标记变化来源）
+     * @param {object} context - { source: 'ai' | 'user' | 'api', messageId, swipeId }
+     * @param {function} fn - 要执行的函数
+     */
+    runWithContext(context, fn) {
+        const previous = this.changeContext;
+        this.changeContext = { ...previous, ...context };
+        try {
+            return fn();
+        } finally {
+            this.changeContext = previous;
+        }
+    }
+    
+    /**
+     * 查询变化历史
+     * @param {object} options - { prefix, since, until, source, messageId, limit }
+     */
+    getHistory(options = {}) {
+        return this.changeLog.query(options);
+    }
+    
+    /**
+     * 由变化历史生成 display_data 形式的视图（每个路径取最后一次变化）
+     * @param {object} options - 同 getHistory，例如 { messageId } 得到某条消息的 delta
+     */
+    getChangeView(options = {}) {
+        const view = {};
+        for (const entry of this.changeLog.query(options)) {
+            if (entry.type === 'roll') continue;
+            this._setViewByPath(view, entry.path, ChangeLog.format(entry));
+        }
+        return view;
     }
     
     /**
@@ -618,28 +3742,127 @@ class VariableManager {
     }
     
     /**
-     * 启用/禁用模式校验
+     * 启用/禁用模式校验
+     */
+    setSchemaValidation(enabled) {
+        this.schemaValidationEnabled = enabled;
+    }
+    
+    /**
+     * 设置数值运算结果保留的小数位数（null 表示不取整）
+     */
+    setPrecision(digits) {
+        this.precision = Number.isInteger(digits) && digits >= 0 ? Math.min(digits, 15) : null;
+    }
+    
+    /**
+     * 启用/禁用严格 RFC 6902 模式
+     */
+    setStrictMode(enabled) {
+        this.strictMode = enabled;
+    }
+    
+    /**
+     * 注册模式
+     * @param {string} path - 路径
+     * @param {object} schema - 模式配置 { extensible, required, recursiveExtensible, template, fields }，
+     *     也可以是标准 JSON Schema（draft 2020-12），会被转换为各级 $meta
+     */
+    registerSchema(path, schema) {
+        this._initExecutors();
+        this.schemaValidator.registerSchema(path, schema);
+        this.computed.invalidate();
+    }
+    
+    /**
+     * 批量注册模式
+     */
+    registerSchemas(schemas) {
+        this._initExecutors();
+        this.schemaValidator.registerSchemas(schemas);
+        this.computed.invalidate();
+    }
+    
+    /**
+     * 将路径下的 $meta 导出为 JSON Schema
+     * @param {string} path - 路径，默认整个聊天变量
+     * @param {object} options - { infer: 没有声明约束的变量也按当前值推断类型导出 }
+     * @returns {object} JSON Schema（draft 2020-12）
+     */
+    exportSchema(path = '', options = {}) {
+        const { root, keys } = this._resolve(path);
+        const node = keys.length ? this._getByPath(root, keys) : root;
+        return JsonSchemaConverter.fromValue(node, options);
+    }
+    
+    /**
+     * 声明计算变量，依赖的变量变化时自动重新计算
+     * @param {string} path - 计算变量路径
+     * @param {string} expr - 公式，如 "角色.攻击 + 角色.武器.攻击"
+     * @returns {{ success: boolean, error?: string }}
+     */
+    define(path, expr) {
+        this._initExecutors();
+        return this.computed.define(path, expr);
+    }
+    
+    /**
+     * 取消计算变量声明
+     */
+    undefine(path) {
+        return this.computed.undefine(path);
+    }
+    
+    /**
+     * 注册表达式中可调用的自定义函数，如 vm.registerFunction('暴击', (伤害, 倍率) => 伤害 * 倍率)
+     * 函数应为纯函数：只依赖参数，返回数值、字符串、布尔值或 null
+     * @returns {{ success: boolean, error?: string }}
+     */
+    registerFunction(name, fn) {
+        if (typeof name !== 'string' || !/^[\p{L}_$][\p{L}\p{N}_$]*$/u.test(name)) {
+            return { success: false, error: `无效的函数名: ${name}` };
+        }
+        if (typeof fn !== 'function') {
+            return { success: false, error: `${name} 不是函数` };
+        }
+        if (CalcEngine.isBuiltin(name)) {
+            return { success: false, error: `不能覆盖内置函数 ${name}` };
+        }
+        this.functions.set(name, fn);
+        
+        // 此前因函数未注册而无法计算的计算变量
+        for (const path of this.computed.getAll().keys()) this.computed.recompute(path);
+        if (this._executeDepth === 0) this._settle();
+        return { success: true };
+    }
+    
+    /**
+     * 取消注册自定义函数
      */
-    setSchemaValidation(enabled) {
-        this.schemaValidationEnabled = enabled;
+    unregisterFunction(name) {
+        return this.functions.delete(name);
     }
     
     /**
-     * 注册模式
-     * @param {string} path - 路径
-     * @param {object} schema - 模式配置 { extensible, required, recursiveExtensible, template }
+     * 添加规则（格式见 RuleEngine）
      */
-    registerSchema(path, schema) {
+    addRule(rule) {
         this._initExecutors();
-        this.schemaValidator.registerSchema(path, schema);
+        this.rules.addRule(rule);
     }
     
     /**
-     * 批量注册模式
+     * 删除规则
      */
-    registerSchemas(schemas) {
-        this._initExecutors();
-        this.schemaValidator.registerSchemas(schemas);
+    removeRule(id) {
+        return this.rules.removeRule(id);
+    }
+    
+    /**
+     * 获取所有规则
+     */
+    getRules() {
+        return this.rules.getRules();
     }
     
     /**
@@ -652,20 +3875,184 @@ class VariableManager {
 
     /**
      * 获取变量值
+     * 带作用域前缀时只读取该作用域，否则依次查找 temp → chat → character → global
+     * 通配路径（队伍.*.HP）返回 { 具体路径: 值 }
      */
     get(path, options = {}) {
         const { defaultValue = undefined, source = 'stat' } = options;
-        const dataSource = source === 'display' ? this.displayData :
-                          source === 'delta' ? this.deltaData : this.statData;
-        
-        const value = this._getByPath(dataSource, path);
-        
-        if (Array.isArray(value) && value.length === 2 && typeof value[1] === 'string') {
-            return value[0];
+        let value;
+        
+        if (source === 'display' || source === 'delta') {
+            const dataSource = source === 'display' ? this.displayData : this.deltaData;
+            value = this._getByPath(dataSource, PathParser.parse(path));
+        } else if (PathParser.hasWildcard(path)) {
+            // 通配路径返回 路径 → 值 的映射
+            const { scope } = PathParser.splitScope(path);
+            const result = {};
+            for (const name of scope ? [scope] : PathParser.SCOPES) {
+                const root = this._scopeRoot(name);
+                if (!root) continue;
+                for (const concrete of this._expandPath(path, { scope: name })) {
+                    result[concrete] = this._unwrap(this._getByPath(root, PathParser.parse(concrete)));
+                }
+            }
+            return result;
+        } else if (PathParser.hasFilter(path)) {
+            // 过滤路径：匹配一个元素时返回该值，匹配多个时返回数组
+            const values = this._filterValues(path);
+            if (values.length === 0) return defaultValue;
+            return values.length === 1 ? values[0] : values;
+        } else {
+            value = this._findRaw(path).value;
         }
         
+        // 切片结果是新数组，不当作 [值, 描述]
+        if (!(PathParser.parse(path).at(-1) instanceof PathSlice)) {
+            value = this._unwrap(value);
+        }
         return value !== undefined ? value : defaultValue;
     }
+    
+    /**
+     * 展开通配路径（* 匹配一级，** 匹配任意多级，不含 $meta；过滤段匹配所有满足条件的元素）
+     * @param {string} path - 通配路径
+     * @param {object} options - { allowMissingLeaf: 末级为普通键时允许其不存在, scope: 读取时指定作用域 }
+     * @returns {string[]} 匹配到的具体路径
+     */
+    _expandPath(path, options = {}) {
+        const { allowMissingLeaf = false } = options;
+        const { scope, root, keys } = options.scope ?
+            { scope: options.scope, root: this._scopeRoot(options.scope), keys: PathParser.parse(path) } :
+            this._resolve(path);
+        const results = new Set();
+        const children = (node) => {
+            node = this._inner(node);
+            if (Array.isArray(node)) return node.map((child, index) => [index, child]);
+            if (node && typeof node === 'object') return Object.entries(node).filter(([key]) => key !== '$meta' && key !== '$runtime');
+            return [];
+        };
+        
+        const walk = (node, i, prefix) => {
+            if (i === keys.length) {
+                results.add(PathParser.format(prefix, scope));
+                return;
+            }
+            const key = keys[i];
+            if (key === '*') {
+                for (const [childKey, child] of children(node)) walk(child, i + 1, [...prefix, childKey]);
+            } else if (key === '**') {
+                walk(node, i + 1, prefix);
+                for (const [childKey, child] of children(node)) walk(child, i, [...prefix, childKey]);
+            } else if (key instanceof PathFilter) {
+                const array = this._inner(node);
+                for (const index of this._filter(key, array)) walk(array[index], i + 1, [...prefix, index]);
+            } else {
+                const child = this._getByPath(node, [key]);
+                const isLeaf = i === keys.length - 1;
+                if (child === undefined && !(isLeaf && allowMissingLeaf && this._inner(node) && typeof this._inner(node) === 'object')) return;
+                walk(child, i + 1, [...prefix, key]);
+            }
+        };
+        if (root) walk(root, 0, []);
+        return [...results];
+    }
+    
+    /**
+     * 按作用域优先级查找原始值（不拆开 [值, 描述]）
+     * @returns {{ scope: string|null, value: any }} 未找到时 scope 为 null
+     */
+    _findRaw(path) {
+        const { scope } = PathParser.splitScope(path);
+        const keys = PathParser.parse(path);
+        // 无前缀的根路径指向 chat 作用域
+        const scopes = scope ? [scope] : (keys.length === 0 ? ['chat'] : PathParser.SCOPES);
+        for (const name of scopes) {
+            const root = this._scopeRoot(name);
+            if (!root) continue;
+            const value = this._getByPath(root, keys);
+            if (value !== undefined) return { scope: name, value };
+        }
+        return { scope: null, value: undefined };
+    }
+    
+    /**
+     * 获取变量描述（[值, 描述] 格式中的描述）
+     * @param {string} path - 变量路径
+     * @returns {string|undefined}
+     */
+    getDescription(path) {
+        const { value } = this._findRaw(path);
+        return this._isTuple(value) ? value[1] : undefined;
+    }
+    
+    /**
+     * 设置或去掉变量描述，值保持不变
+     * @param {string} path - 变量路径
+     * @param {string|null} description - 描述，空值表示去掉描述
+     * @returns {{ success: boolean, error?: string }}
+     */
+    setDescription(path, description) {
+        const { scope, value } = this._findRaw(path);
+        if (scope === null) {
+            return { success: false, error: `变量不存在: ${path}` };
+        }
+        const bare = PathParser.splitScope(path).path;
+        return this.op({
+            op: 'replace',
+            path: scope === 'chat' ? bare : `${scope}:${bare}`,
+            value: this._unwrap(value),
+            description: description || null,
+        });
+    }
+    
+    /**
+     * 收集作用域内所有变量描述
+     * @param {string} scope - 作用域，默认 chat
+     * @returns {object} 路径 → 描述
+     */
+    getDescriptions(scope = 'chat') {
+        const result = {};
+        const walk = (node, keys) => {
+            if (this._isTuple(node)) {
+                result[PathParser.format(keys, scope)] = node[1];
+                node = node[0];
+            }
+            if (!node || typeof node !== 'object') return;
+            for (const [key, child] of Object.entries(node)) {
+                if (key === '$meta' || key === '$runtime') continue;
+                walk(child, [...keys, Array.isArray(node) ? Number(key) : key]);
+            }
+        };
+        walk(this._scopeRoot(scope), []);
+        return result;
+    }
+    
+    /**
+     * 获取作用域的根对象
+     * @param {string} scope - 'global' | 'character' | 'chat' | 'temp'
+     */
+    getScope(scope) {
+        return this._scopeRoot(scope);
+    }
+    
+    /**
+     * 替换作用域的全部数据（用于加载持久化数据）
+     */
+    setScope(scope, data) {
+        if (scope === 'chat') {
+            this.statData = data || {};
+        } else {
+            this.scopeData[scope] = data;
+        }
+        this.computed.invalidate();
+    }
+    
+    /**
+     * 清空作用域
+     */
+    clearScope(scope) {
+        this.setScope(scope, {});
+    }
 
     /**
      * 设置变量值（简化语法，支持 test 选项）
@@ -783,35 +4170,447 @@ class VariableManager {
         this._initExecutors();
         return this.batchExecutor.execute(operations, options);
     }
+    
+    /**
+     * 比较两个状态，生成 RFC 6902 JSON Patch
+     * @param {object} before - 原状态
+     * @param {object} after - 新状态，默认为当前聊天变量
+     * @param {object} options - { includeMeta: 是否比较 $meta, includeRuntime: 是否比较 $runtime, prefix: 路径前缀 }
+     * @returns {Array} 操作数组
+     */
+    diff(before, after = this.statData, options = {}) {
+        return PatchDiffer.diff(before, after, options);
+    }
+    
+    /**
+     * 应用 JSON Patch（通过批量执行器，默认原子执行）
+     * @param {Array} patch - 操作数组
+     * @param {object} options - { atomic }
+     */
+    applyPatch(patch, options = {}) {
+        return this.batch(patch, { atomic: true, ...options });
+    }
+
+    /**
+     * 撤销最近一次操作或批量操作
+     * @returns {boolean} 是否有可撤销的记录
+     */
+    undo() {
+        this._initExecutors();
+        const entry = this.journal.undoStack.pop();
+        if (!entry) return false;
+        const inverse = this._replay(entry.inverse);
+        this.journal.redoStack.push({ ...entry, inverse, timestamp: Date.now() });
+        return true;
+    }
+    
+    /**
+     * 重做最近一次撤销的操作
+     * @returns {boolean} 是否有可重做的记录
+     */
+    redo() {
+        this._initExecutors();
+        const entry = this.journal.redoStack.pop();
+        if (!entry) return false;
+        const inverse = this._replay(entry.inverse);
+        this.journal.undoStack.push({ ...entry, inverse, timestamp: Date.now() });
+        return true;
+    }
+    
+    canUndo() {
+        return this.journal.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.journal.redoStack.length > 0;
+    }
 
     clearDelta() {
         this.deltaData = {};
     }
 
-    export() {
-        return {
+    /**
+     * 当前回合数（每收到一条 AI 回复加一）
+     */
+    getTurn() {
+        return this.statData.$runtime?.turn ?? 0;
+    }
+
+    /**
+     * 进入下一回合并处理到期的限时变量，回合数和到期的变化作为一条记录撤销
+     * @returns {number} 新的回合数
+     */
+    advanceTurn() {
+        this._initExecutors();
+        this.journal.begin();
+        try {
+            this._setRuntime('turn', this.getTurn() + 1);
+            this.expireVariables();
+            this.scheduler.runDue();
+            return this.getTurn();
+        } finally {
+            this.journal.commit('新回合');
+        }
+    }
+
+    /**
+     * 掷骰（格式见 DiceRoller），结果写入变化历史
+     * @param {string} notation - 如 2d6、1d20adv、4d6kh3
+     * @returns {{ dice: string, rolls: number[], kept?: number[], total: number }|null} 骰子格式无效时为 null
+     */
+    roll(notation) {
+        this.journal.begin();
+        try {
+            return this.dice.roll(notation);
+        } catch (e) {
+            console.warn(`[EDP] 掷骰失败: ${notation}`, e.message);
+            return null;
+        } finally {
+            this.journal.commit(`掷骰 ${notation}`);
+        }
+    }
+
+    /**
+     * 设置随机数种子，省略时换用新的随机种子（可撤销）
+     */
+    setSeed(seed = Math.floor(Math.random() * 0x100000000)) {
+        this._initExecutors();
+        return this.executor.execute({ op: 'seed', seed });
+    }
+
+    getSeed() {
+        return this.dice.getSeed();
+    }
+
+    /**
+     * 查询掷骰记录
+     * @param {object} options - 同 getHistory，如 { messageId }
+     */
+    getRolls(options = {}) {
+        return this.changeLog.query({ ...options, prefix: '$roll' }).filter(entry => entry.type === 'roll');
+    }
+
+    /**
+     * 添加定时任务（格式见 Scheduler）
+     * @param {Array} operations - 要执行的操作
+     * @param {object} options - { in: 几回合后执行, every: 每隔几回合重复, id }
+     * @returns {string|null} 任务 id，失败时为 null
+     */
+    schedule(operations, options = {}) {
+        this._initExecutors();
+        const result = this.executor.execute({ op: 'schedule', operations, ...options });
+        return result.success ? result.id : null;
+    }
+
+    /**
+     * 取消定时任务
+     * @returns {boolean} 任务是否存在
+     */
+    cancelSchedule(id) {
+        this._initExecutors();
+        const result = this.executor.execute({ op: 'unschedule', id });
+        return result.success && !result.skipped;
+    }
+
+    /**
+     * 获取所有定时任务
+     */
+    getSchedule() {
+        return deepClone(this.scheduler.list());
+    }
+
+    /**
+     * 列出限时变量
+     * @returns {Array<{ path: string, turns?: number, seconds?: number }>} 剩余回合数或剩余秒数
+     */
+    getExpiring(now = Date.now()) {
+        const turn = this.getTurn();
+        return (this.statData.$runtime?.expiry ?? []).map(entry => ({
+            path: entry.path,
+            ...(entry.turn !== undefined ? { turns: entry.turn - turn } : {}),
+            ...(entry.time !== undefined ? { seconds: Math.max(0, Math.ceil((entry.time - now) / 1000)) } : {}),
+        }));
+    }
+
+    /**
+     * 还原或删除已到期的限时变量，变化与普通操作一样触发事件并写入 delta_data
+     * @returns {Array<string>} 到期的路径
+     */
+    expireVariables(now = Date.now()) {
+        const runtime = this.statData.$runtime;
+        if (!runtime?.expiry?.length) return [];
+        const turn = runtime.turn ?? 0;
+        const due = runtime.expiry.filter(entry =>
+            (entry.turn !== undefined && turn >= entry.turn) || (entry.time !== undefined && now >= entry.time));
+        if (due.length === 0) return [];
+        
+        this._initExecutors();
+        this.journal.begin();
+        this._executeDepth++;
+        try {
+            this._setRuntime('expiry', runtime.expiry.filter(entry => !due.includes(entry)));
+            const expired = due.filter(entry => this.executor._expire(entry)).map(entry => entry.path);
+            if (this._executeDepth === 1) this._settle();
+            return expired;
+        } finally {
+            this._executeDepth--;
+            this.journal.commit('到期');
+        }
+    }
+
+    /**
+     * 清空所有变量数据
+     */
+    reset() {
+        this.statData = {};
+        this.displayData = {};
+        this.deltaData = {};
+        this.journal.clear();
+        this.changeLog.clear();
+        this.computed.clear();
+        this.rules.clear();
+    }
+
+    /**
+     * 导出变量数据
+     * @param {object} options - { includeHistory: 是否包含变化历史 }
+     */
+    export(options = {}) {
+        const { includeHistory = false } = options;
+        const data = {
             stat_data: deepClone(this.statData),
             display_data: deepClone(this.displayData),
             delta_data: deepClone(this.deltaData),
         };
+        if (includeHistory) {
+            data.change_log = deepClone(this.changeLog.entries);
+        }
+        if (this.computed.definitions.size > 0) {
+            data.computed = Object.fromEntries(this.computed.definitions);
+        }
+        if (this.rules.rules.size > 0) {
+            data.rules = deepClone(this.rules.getRules());
+        }
+        return data;
     }
 
     import(data) {
         if (data.stat_data) this.statData = data.stat_data;
         if (data.display_data) this.displayData = data.display_data;
         if (data.delta_data) this.deltaData = data.delta_data;
+        if (data.change_log) this.changeLog.entries = data.change_log;
+        if (data.computed) this.computed.definitions = new Map(Object.entries(data.computed));
+        if (data.rules) this.rules.rules = new Map(data.rules.map(rule => [rule.id, rule]));
+        this.computed.invalidate();
+        this.journal.clear();
     }
 
     // ========== 私有方法 ==========
 
+    /**
+     * 处理操作引起的连带变化（计算变量、规则），直到没有新的变化
+     * @returns {string|null} 规则执行失败时的错误信息
+     */
+    _settle() {
+        let passes = 0;
+        const firings = new Map();
+        while (this._pendingChanges.length > 0) {
+            if (++passes > this.maxSettlePasses) {
+                this._pendingChanges = [];
+                return '连带变化次数超限，可能存在规则循环';
+            }
+            const changes = this._pendingChanges;
+            this._pendingChanges = [];
+            this.computed.onChanges(changes.map(change => change.path));
+            
+            const error = this.rules.onChanges(changes, firings);
+            if (error) {
+                this._pendingChanges = [];
+                return error;
+            }
+        }
+        this.rules.removeFired(firings);
+        return null;
+    }
+
+    _scopeRoot(scope) {
+        return scope === 'chat' ? this.statData : this.scopeData[scope];
+    }
+    
+    /**
+     * 解析写入目标：无前缀的路径写入 chat 作用域
+     * @returns {{ scope: string, root: object, keys: Array }}
+     */
+    _resolve(path) {
+        const scope = PathParser.splitScope(path).scope || 'chat';
+        const root = this._scopeRoot(scope);
+        if (!root) {
+            throw new Error(`作用域不可用: ${scope}`);
+        }
+        return { scope, root, keys: PathParser.parse(path) };
+    }
+    
+    /**
+     * 是否为 [值, 描述] 格式
+     */
+    _isTuple(value) {
+        return Array.isArray(value) && value.length === 2 && typeof value[1] === 'string';
+    }
+    
+    /**
+     * 拆开 [值, 描述] 格式
+     */
+    _unwrap(value) {
+        return this._isTuple(value) ? value[0] : value;
+    }
+    
+    /**
+     * 路径经过 [对象或数组, 描述] 时透明地进入值部分
+     */
+    _inner(value) {
+        return this._isTuple(value) && value[0] !== null && typeof value[0] === 'object' ? value[0] : value;
+    }
+
+    /**
+     * 逆序执行一组逆向操作，返回再次反转所需的操作
+     */
+    _replay(inverseOps) {
+        this.journal.begin();
+        this.journal.replaying = true;
+        try {
+            for (let i = inverseOps.length - 1; i >= 0; i--) {
+                this.executor.execute(inverseOps[i]);
+            }
+        } finally {
+            this.journal.replaying = false;
+        }
+        return this.journal.abort();
+    }
+
+    /**
+     * 运行时数据（回合数、限时变量等），保存在 chat 变量的 $runtime 中，随消息快照一起恢复
+     */
+    _runtime() {
+        if (!this.statData.$runtime || typeof this.statData.$runtime !== 'object') {
+            this.statData.$runtime = {};
+        }
+        return this.statData.$runtime;
+    }
+
+    /**
+     * 修改 $runtime 中的一项（value 为 undefined 时删除），在当前操作日志中记录原值（op: 'runtime'），撤销或回滚时还原
+     */
+    _setRuntime(key, value) {
+        const runtime = this._runtime();
+        this.journal.record({ op: 'runtime', key, value: deepClone(runtime[key]) });
+        if (value === undefined) delete runtime[key];
+        else runtime[key] = value;
+    }
+
+    /**
+     * 登记限时变量，同一路径再次限时写入时刷新时限，到期仍还原到第一次限时写入前的值
+     * @param {string} path - 已写入的路径
+     * @param {object} expires - { turns } 或 { seconds }
+     * @param {*} before - 写入前的原始值，undefined 表示原本不存在
+     */
+    _addExpiry(path, expires, before) {
+        const { turns, seconds } = expires;
+        const runtime = this._runtime();
+        const key = PathParser.normalize(path);
+        const expiry = runtime.expiry ?? [];
+        const previous = expiry.find(entry => PathParser.normalize(entry.path) === key);
+        const entry = {
+            path: key,
+            value: deepClone(this.executor._read(this._resolve(path))),
+            ...(previous ? ('revert' in previous ? { revert: previous.revert } : {}) :
+                (before !== undefined ? { revert: deepClone(this._unwrap(before)) } : {})),
+            ...(typeof turns === 'number' && turns > 0 ? { turn: (runtime.turn ?? 0) + turns } : {}),
+            ...(typeof seconds === 'number' && seconds > 0 ? { time: Date.now() + seconds * 1000 } : {}),
+        };
+        this._setRuntime('expiry', [...expiry.filter(item => item !== previous), entry]);
+    }
+
+    /**
+     * 开始一个可回滚的事务（可嵌套）
+     * @returns {{ views: number, changes: number }} 回滚点
+     */
+    _beginTransaction() {
+        this.journal.begin();
+        this._transactions++;
+        return { views: this._viewLog.length, changes: this._pendingChanges.length };
+    }
+
+    /**
+     * 提交事务，逆向补丁并入外层事务或撤销记录
+     */
+    _commitTransaction(label) {
+        this.journal.commit(label);
+        this._endTransaction();
+    }
+
+    /**
+     * 回滚事务：逆序执行逆向补丁（触发补偿的变化事件），再还原 display/delta 视图
+     * @param {{ views: number, changes: number }} point - _beginTransaction 返回的回滚点
+     */
+    _rollbackTransaction(point) {
+        this._replay(this.journal.abort());
+        while (this._viewLog.length > point.views) {
+            const { view, keys, value } = this._viewLog.pop();
+            const parent = this._getByPath(view, keys.slice(0, -1));
+            if (parent === null || typeof parent !== 'object') continue;
+            if (value === undefined) delete parent[keys[keys.length - 1]];
+            else parent[keys[keys.length - 1]] = value;
+        }
+        this._pendingChanges.length = Math.min(this._pendingChanges.length, point.changes);
+        this._endTransaction();
+    }
+
+    _endTransaction() {
+        if (--this._transactions === 0) this._viewLog = [];
+    }
+
+    /**
+     * 读取过滤路径匹配到的所有值（按作用域优先级取第一个有匹配的作用域）
+     */
+    _filterValues(path) {
+        const { scope } = PathParser.splitScope(path);
+        for (const name of scope ? [scope] : PathParser.SCOPES) {
+            const root = this._scopeRoot(name);
+            if (!root) continue;
+            const matches = this._expandPath(path, { scope: name });
+            if (matches.length > 0) {
+                return matches.map(concrete => this._unwrap(this._getByPath(root, PathParser.parse(concrete))));
+            }
+        }
+        return [];
+    }
+
+    /**
+     * 返回数组中满足过滤条件的元素下标
+     */
+    _filter(filter, array) {
+        return filter.select(this._inner(array), (item, keys) => this._unwrap(this._getByPath(item, keys)));
+    }
+
     _getByPath(obj, path) {
         if (!path) return obj;
         const keys = PathParser.parse(path);
         let current = obj;
         for (const key of keys) {
             if (current === undefined || current === null) return undefined;
+            current = this._inner(current);
             if (key === '-' && Array.isArray(current)) return current[current.length - 1];
-            current = current[key];
+            if (key instanceof PathSlice) {
+                current = key.apply(current);
+            } else if (key instanceof PathFilter) {
+                // 恰好匹配一个元素时继续，否则视为不存在
+                const matches = this._filter(key, current);
+                current = matches.length === 1 ? current[matches[0]] : undefined;
+            } else if (typeof key === 'number' && key < 0 && Array.isArray(current)) {
+                current = current[current.length + key];
+            } else {
+                current = current[key];
+            }
         }
         return current;
     }
@@ -825,7 +4624,7 @@ class VariableManager {
                 const nextKey = keys[i + 1];
                 current[key] = (typeof nextKey === 'number' || nextKey === '-') ? [] : {};
             }
-            current = current[key];
+            current = this._inner(current[key]);
         }
         const lastKey = keys[keys.length - 1];
         if (lastKey === '-' && Array.isArray(current)) {
@@ -835,12 +4634,40 @@ class VariableManager {
         }
     }
 
+    /**
+     * 写入 display/delta 视图：中间节点若是之前写入的文本则替换为对象
+     */
+    _setViewByPath(view, path, text) {
+        const keys = PathParser.parse(path);
+        if (keys.length === 0) return;
+        let current = view;
+        for (let i = 0; i < keys.length - 1; i++) {
+            const key = keys[i];
+            if (current[key] === null || typeof current[key] !== 'object') {
+                this._recordViewWrite(view, keys.slice(0, i + 1), current[key]);
+                current[key] = {};
+            }
+            current = current[key];
+        }
+        const lastKey = keys[keys.length - 1];
+        this._recordViewWrite(view, keys, current[lastKey]);
+        current[lastKey] = text;
+    }
+
+    /**
+     * 事务中记录视图节点被覆盖前的值，回滚时还原
+     */
+    _recordViewWrite(view, keys, value) {
+        if (this._transactions === 0 || (view !== this.displayData && view !== this.deltaData)) return;
+        this._viewLog.push({ view, keys, value });
+    }
+
     _deleteByPath(obj, path) {
         const keys = PathParser.parse(path);
         let current = obj;
         for (let i = 0; i < keys.length - 1; i++) {
             if (current[keys[i]] === undefined) return false;
-            current = current[keys[i]];
+            current = this._inner(current[keys[i]]);
         }
         const lastKey = keys[keys.length - 1];
         if (Array.isArray(current) && typeof lastKey === 'number') {
@@ -852,14 +4679,40 @@ class VariableManager {
     }
 
     _emitChange(path, oldValue, newValue, reason) {
-        const displayValue = reason ?
-            `${oldValue} → ${newValue} (${reason})` :
-            `${oldValue} → ${newValue}`;
-        this._setByPath(this.displayData, path, displayValue);
-        this._setByPath(this.deltaData, path, displayValue);
+        if (Array.isArray(path)) path = PathParser.format(path);
+        // 撤销和回滚的补偿事件来自 JSON Pointer 格式的逆向补丁，与正常变化一样以点号格式发出
+        else if (PathParser.splitScope(path).path.startsWith('/')) path = PathParser.normalize(path);
+        const { source, messageId, swipeId } = this.changeContext;
+        const scope = PathParser.splitScope(path).scope || 'chat';
+        const entry = {
+            path: PathParser.normalize(path),
+            oldValue: deepClone(oldValue),
+            newValue: deepClone(newValue),
+            reason,
+            source,
+            messageId,
+            swipeId,
+            timestamp: Date.now(),
+        };
+        this.changeLog.record(entry);
+        if (!this.journal.replaying) {
+            this._pendingChanges.push({ path, oldValue, newValue, ruleId: this.changeContext.ruleId });
+        }
+        // 写入 $meta 本身，或写入、删除的对象中带有 $meta 时，重新扫描该对象下的计算变量声明
+        const keys = PathParser.parse(path);
+        const metaIndex = keys.indexOf('$meta');
+        if (metaIndex !== -1) {
+            this.computed.invalidate(PathParser.format(keys.slice(0, metaIndex), scope));
+        } else if (ComputedRegistry.containsMeta(newValue) || ComputedRegistry.containsMeta(oldValue)) {
+            this.computed.invalidate(path);
+        }
+        
+        const displayValue = ChangeLog.format(entry);
+        this._setViewByPath(this.displayData, keys, displayValue);
+        this._setViewByPath(this.deltaData, keys, displayValue);
         
         const event = new CustomEvent('edp_variable_changed', {
-            detail: { path, oldValue, newValue, reason }
+            detail: { path, scope, oldValue, newValue, reason, source, messageId }
         });
         document.dispatchEvent(event);
     }
@@ -869,36 +4722,46 @@ class VariableManager {
  * 更新语句解析器 - 解析 AI 回复中的变量更新命令
  * 支持三种格式：
  * 1. JSON 块格式：<UpdateVariable>[...]</UpdateVariable>
+ *    JSON Merge Patch：<UpdateVariable type="merge" path="可选路径">{...}</UpdateVariable>
  * 2. Minecraft 风格命令：/data set <path> <value>
  * 3. 函数调用格式（向后兼容）：_.set('path', value)
  */
 class UpdateParser {
     constructor() {
         // JSON 块匹配
-        this.jsonBlockPattern = /<UpdateVariable>([\s\S]*?)<\/UpdateVariable>/gi;
+        this.jsonBlockPattern = /<UpdateVariable(\s[^>]*)?>([\s\S]*?)<\/UpdateVariable>/gi;
         
         // Minecraft 风格 /data 命令（主要格式）
+        // 路径中方括号内可以有空格，如 背包[?名称 == "治疗药水"]
         this.dataCommands = {
-            // /data set <path> <value> [test <oldValue>]
-            set: /\/data\s+set\s+(\S+)\s+(.+?)(?:\s+test\s+(.+))?$/gm,
+            // /data set <path> <value> [for <回合数 或 30s/5m/2h>] [test <oldValue>]
+            set: /\/data\s+set\s+((?:\[[^\]]*\]|[^\s[])+)\s+(.+?)(?:\s+for\s+(\d+)([smh])?)?(?:\s+test\s+(.+))?$/gm,
             // /data add <path> <delta>
-            add: /\/data\s+add\s+(\S+)\s+([+-]?\d+(?:\.\d+)?)/gm,
+            add: /\/data\s+add\s+((?:\[[^\]]*\]|[^\s[])+)\s+([+-]?\d+(?:\.\d+)?)/gm,
             // /data push <path> <value>
-            push: /\/data\s+push\s+(\S+)\s+(.+)/gm,
+            push: /\/data\s+push\s+((?:\[[^\]]*\]|[^\s[])+)\s+(.+)/gm,
             // /data insert <path> <index> <value>
-            insert: /\/data\s+insert\s+(\S+)\s+(\d+)\s+(.+)/gm,
+            insert: /\/data\s+insert\s+((?:\[[^\]]*\]|[^\s[])+)\s+(-?\d+)\s+(.+)/gm,
             // /data remove <path>
-            remove: /\/data\s+remove\s+(\S+)/gm,
+            remove: /\/data\s+remove\s+((?:\[[^\]]*\]|[^\s[])+)/gm,
             // /data move <from> <to>
-            move: /\/data\s+move\s+(\S+)\s+(\S+)/gm,
+            move: /\/data\s+move\s+((?:\[[^\]]*\]|[^\s[])+)\s+((?:\[[^\]]*\]|[^\s[])+)/gm,
             // /data copy <from> <to>
-            copy: /\/data\s+copy\s+(\S+)\s+(\S+)/gm,
-            // /data calc <path> <expr>
-            calc: /\/data\s+calc\s+(\S+)\s+"([^"]+)"/gm,
-            // /data modify <path> <action> <value>
-            modify: /\/data\s+modify\s+(\S+)\s+(append|prepend|insert|merge)\s+(.+)/gm,
+            copy: /\/data\s+copy\s+((?:\[[^\]]*\]|[^\s[])+)\s+((?:\[[^\]]*\]|[^\s[])+)/gm,
+            // /data multiply|divide|percent <path> <number>
+            arithmetic: /\/data\s+(multiply|divide|percent)\s+((?:\[[^\]]*\]|[^\s[])+)\s+(-?\d+(?:\.\d+)?)/gm,
+            // /data clamp <path> <min> <max>
+            clamp: /\/data\s+clamp\s+((?:\[[^\]]*\]|[^\s[])+)\s+(\S+)\s+(\S+)/gm,
+            // /data max|min <path> <number 或路径>
+            bound: /\/data\s+(max|min)\s+((?:\[[^\]]*\]|[^\s[])+)\s+((?:\[[^\]]*\]|[^\s[])+)/gm,
+            // /data calc <path> "<expr>"（表达式中有双引号时可用单引号包裹）
+            calc: /\/data\s+calc\s+((?:\[[^\]]*\]|[^\s[])+)\s+(["'])(.+)\2[ \t]*$/gm,
+            // /data modify <path> <action> [参数]
+            modify: /\/data\s+modify\s+((?:\[[^\]]*\]|[^\s[])+)\s+(append|prepend|insert|merge|removeWhere|remove|pop|shift|sort|unique|addUnique|truncate)\b(?:[ \t]+(.+))?/gm,
+            // /data schedule [in <n>] [every <n>] [as <id>] <命令>、/data schedule cancel <id>
+            schedule: /\/data\s+schedule\s+(.+)$/gm,
             // /data test <path> <condition>
-            test: /\/data\s+test\s+(\S+)\s+(eq|neq|gt|gte|lt|lte|exists)\s*(.*)?/gm,
+            test: /\/data\s+test\s+((?:\[[^\]]*\]|[^\s[])+)\s+(eq|neq|gt|gte|lt|lte|exists)\s*(.*)?/gm,
         };
         
         // 函数调用格式（向后兼容）
@@ -906,12 +4769,12 @@ class UpdateParser {
             set: /\_\.set\s*\(\s*['"]([^'"]+)['"]\s*,\s*([^,)]+)(?:\s*,\s*(\{[^}]+\}))?\s*\)/g,
             add: /\_\.add\s*\(\s*['"]([^'"]+)['"]\s*,\s*([^)]+)\s*\)/g,
             push: /\_\.push\s*\(\s*['"]([^'"]+)['"]\s*,\s*([^)]+)\s*\)/g,
-            insert: /\_\.insert\s*\(\s*['"]([^'"]+)['"]\s*,\s*(\d+)\s*,\s*([^)]+)\s*\)/g,
+            insert: /\_\.insert\s*\(\s*['"]([^'"]+)['"]\s*,\s*(-?\d+)\s*,\s*([^)]+)\s*\)/g,
             remove: /\_\.remove\s*\(\s*['"]([^'"]+)['"]\s*(?:,\s*([^)]+))?\s*\)/g,
             move: /\_\.move\s*\(\s*['"]([^'"]+)['"]\s*,\s*['"]([^'"]+)['"]\s*\)/g,
             copy: /\_\.copy\s*\(\s*['"]([^'"]+)['"]\s*,\s*['"]([^'"]+)['"]\s*\)/g,
-            calc: /\_\.calc\s*\(\s*['"]([^'"]+)['"]\s*,\s*['"]([^'"]+)['"]\s*\)/g,
-            modify: /\_\.modify\s*\(\s*['"]([^'"]+)['"]\s*,\s*['"](\w+)['"]\s*,\s*([^)]+)\s*\)/g,
+            calc: /\_\.calc\s*\(\s*['"]([^'"]+)['"]\s*,\s*(['"])(.+?)\2\s*\)/g,
+            modify: /\_\.modify\s*\(\s*['"]([^'"]+)['"]\s*,\s*['"](\w+)['"]\s*(?:,\s*([^)]+))?\s*\)/g,
             op: /\_\.op\s*\(\s*(\{[\s\S]*?\})\s*\)/g,
             batch: /\_\.batch\s*\(\s*(\[[\s\S]*?\])(?:\s*,\s*(\{[^}]*\}))?\s*\)/g,
             assign: /\_\.assign\s*\(\s*['"]([^'"]+)['"]\s*(?:,\s*([^,)]+)\s*)?(?:,\s*([^)]+))?\s*\)/g,
@@ -948,13 +4811,7 @@ class UpdateParser {
         const pattern = new RegExp(this.jsonBlockPattern.source, 'gi');
         while ((match = pattern.exec(text)) !== null) {
             try {
-                const json = match[1].trim();
-                const parsed = JSON.parse(json);
-                if (Array.isArray(parsed)) {
-                    operations.push(...parsed);
-                } else if (parsed && typeof parsed === 'object') {
-                    operations.push(parsed);
-                }
+                operations.push(...this.parseBlock(match[2], match[1]));
             } catch (e) {
                 console.warn('[EDP] JSON 块解析失败:', e.message);
             }
@@ -963,6 +4820,27 @@ class UpdateParser {
         return operations;
     }
     
+    /**
+     * 解析单个 <UpdateVariable> 块的内容
+     * @param {string} content - 块内容
+     * @param {string} attributes - 开始标签中的属性文本
+     * @returns {Array} 操作列表
+     */
+    parseBlock(content, attributes = '') {
+        const attrs = {};
+        for (const [, name, value] of (attributes || '').matchAll(/(\w+)\s*=\s*["']([^"']*)["']/g)) {
+            attrs[name] = value;
+        }
+        
+        const parsed = JSON.parse(content.trim());
+        if (attrs.type === 'merge') {
+            return [{ op: 'merge-patch', path: attrs.path ?? '', value: parsed }];
+        }
+        if (Array.isArray(parsed)) return parsed;
+        if (parsed && typeof parsed === 'object') return [parsed];
+        return [];
+    }
+    
     /**
      * 解析 /data 命令（Minecraft 风格）
      */
@@ -970,13 +4848,15 @@ class UpdateParser {
         const operations = [];
         let match;
         
-        // /data set <path> <value> [test <oldValue>]
+        // /data set <path> <value> [for <时限>] [test <oldValue>]
         const setPattern = new RegExp(this.dataCommands.set.source, 'gm');
         while ((match = setPattern.exec(text)) !== null) {
-            if (match[3]) {
-                operations.push({ op: 'test', path: match[1], value: this._parseValue(match[3].trim()) });
+            if (match[5]) {
+                operations.push({ op: 'test', path: match[1], value: this._parseValue(match[5].trim()) });
             }
-            operations.push({ op: 'replace', path: match[1], value: this._parseValue(match[2].trim()) });
+            const operation = { op: 'replace', path: match[1], value: this._parseValue(match[2].trim()) };
+            if (match[3]) operation.expires = this._parseDuration(Number(match[3]), match[4]);
+            operations.push(operation);
         }
         
         // /data add <path> <delta>
@@ -985,6 +4865,27 @@ class UpdateParser {
             operations.push({ op: 'increment', path: match[1], delta: parseFloat(match[2]) });
         }
         
+        // /data multiply|divide|percent <path> <number>
+        const arithmeticPattern = new RegExp(this.dataCommands.arithmetic.source, 'gm');
+        while ((match = arithmeticPattern.exec(text)) !== null) {
+            operations.push({ op: match[1], path: match[2], value: parseFloat(match[3]) });
+        }
+        
+        // /data clamp <path> <min> <max>，不限制的一侧写 null
+        const clampPattern = new RegExp(this.dataCommands.clamp.source, 'gm');
+        while ((match = clampPattern.exec(text)) !== null) {
+            operations.push({ op: 'clamp', path: match[1], min: this._parseValue(match[2]), max: this._parseValue(match[3]) });
+        }
+        
+        // /data max|min <path> <number 或路径>
+        const boundPattern = new RegExp(this.dataCommands.bound.source, 'gm');
+        while ((match = boundPattern.exec(text)) !== null) {
+            const operand = this._parseValue(match[3]);
+            operations.push(typeof operand === 'number' ?
+                { op: match[1], path: match[2], value: operand } :
+                { op: match[1], path: match[2], from: match[3] });
+        }
+        
         // /data push <path> <value>
         const pushPattern = new RegExp(this.dataCommands.push.source, 'gm');
         while ((match = pushPattern.exec(text)) !== null) {
@@ -1018,13 +4919,20 @@ class UpdateParser {
         // /data calc <path> "<expr>"
         const calcPattern = new RegExp(this.dataCommands.calc.source, 'gm');
         while ((match = calcPattern.exec(text)) !== null) {
-            operations.push({ op: 'calc', path: match[1], expr: match[2] });
+            operations.push({ op: 'calc', path: match[1], expr: match[3] });
         }
         
-        // /data modify <path> <action> <value>
+        // /data modify <path> <action> [参数]
         const modifyPattern = new RegExp(this.dataCommands.modify.source, 'gm');
         while ((match = modifyPattern.exec(text)) !== null) {
-            operations.push({ op: 'modify', path: match[1], action: match[2], value: this._parseValue(match[3].trim()) });
+            operations.push(this._parseModify(match[1], match[2], (match[3] || '').trim()));
+        }
+        
+        // /data schedule ...
+        const schedulePattern = new RegExp(this.dataCommands.schedule.source, 'gm');
+        while ((match = schedulePattern.exec(text)) !== null) {
+            const operation = this._parseSchedule(match[1].trim());
+            if (operation) operations.push(operation);
         }
         
         // /data test <path> <condition> [value]
@@ -1052,18 +4960,24 @@ class UpdateParser {
         const operations = [];
         let match;
         
-        // _.set('path', value) 或 _.set('path', value, {test: old})
+        // _.set('path', value) 或 _.set('path', value, {test: old, turns: 3})
         const setPattern = new RegExp(this.legacyPatterns.set.source, 'g');
         while ((match = setPattern.exec(text)) !== null) {
+            let expires;
             if (match[3]) {
                 try {
                     const opts = JSON.parse(match[3].replace(/'/g, '"'));
                     if (opts.test !== undefined) {
                         operations.push({ op: 'test', path: match[1], value: opts.test });
                     }
+                    if (opts.turns !== undefined || opts.seconds !== undefined) {
+                        expires = { turns: opts.turns, seconds: opts.seconds };
+                    }
                 } catch {}
             }
-            operations.push({ op: 'replace', path: match[1], value: this._parseValue(match[2]) });
+            const operation = { op: 'replace', path: match[1], value: this._parseValue(match[2]) };
+            if (expires) operation.expires = expires;
+            operations.push(operation);
         }
         
         // _.add('path', delta)
@@ -1106,13 +5020,18 @@ class UpdateParser {
         // _.calc('path', 'expr')
         const calcPattern = new RegExp(this.legacyPatterns.calc.source, 'g');
         while ((match = calcPattern.exec(text)) !== null) {
-            operations.push({ op: 'calc', path: match[1], expr: match[2] });
+            operations.push({ op: 'calc', path: match[1], expr: match[3] });
         }
         
         // _.modify('path', 'action', value)
         const modifyPattern = new RegExp(this.legacyPatterns.modify.source, 'g');
         while ((match = modifyPattern.exec(text)) !== null) {
-            operations.push({ op: 'modify', path: match[1], action: match[2], value: this._parseValue(match[3]) });
+            let args = (match[3] || '').trim();
+            // sort 的第四个参数为排序方向：_.modify('排行', 'sort', '分数', 'desc')
+            const order = match[2] === 'sort' && args.match(/^(?:(.*?)\s*,\s*)?['"](asc|desc)['"]$/);
+            const operation = this._modifyOperation(match[1], match[2], this._parseValue(order ? order[1] : args));
+            if (order) operation.order = order[2];
+            operations.push(operation);
         }
         
         // _.op({...})
@@ -1173,6 +5092,83 @@ class UpdateParser {
         }
     }
     
+    /**
+     * 解析 /data schedule 的参数：选项之后是不带 /data 前缀的普通命令
+     * 例：in 5 set 事件.暴风雨 true、every 3 as 回蓝 add 角色.MP 10、cancel 回蓝
+     */
+    _parseSchedule(args) {
+        const cancel = args.match(/^cancel\s+(\S+)$/);
+        if (cancel) return { op: 'unschedule', id: this._parseValue(cancel[1]) };
+        
+        const operation = { op: 'schedule' };
+        let option;
+        while ((option = args.match(/^(in|every|as)\s+(\S+)\s+/))) {
+            if (option[1] === 'as') operation.id = String(this._parseValue(option[2]));
+            else operation[option[1]] = Number(option[2]);
+            args = args.slice(option[0].length);
+        }
+        operation.operations = this._parseDataCommands(`/data ${args}`);
+        if (operation.operations.length === 0) {
+            console.warn('[EDP] 无法解析定时命令:', args);
+            return null;
+        }
+        return operation;
+    }
+    
+    /**
+     * 解析时限：无单位为回合数，s/m/h 为秒、分钟、小时
+     * @returns {{ turns: number } | { seconds: number }}
+     */
+    _parseDuration(amount, unit) {
+        if (!unit) return { turns: amount };
+        return { seconds: amount * { s: 1, m: 60, h: 3600 }[unit] };
+    }
+    
+    /**
+     * 解析 /data modify 的参数部分
+     */
+    _parseModify(path, action, args) {
+        switch (action) {
+            case 'merge': {
+                // 值后可指定数组合并策略：union、replace、concat 或 by <键字段> [sum <字段,字段>]
+                const strategy = args.match(/^(.*?)\s+(?:(concat|replace|union)|by\s+(\S+)(?:\s+sum\s+(\S+))?)$/);
+                const operation = this._modifyOperation(path, action, this._parseValue(strategy ? strategy[1] : args));
+                if (strategy) {
+                    operation.strategy = strategy[2] || { key: strategy[3], ...(strategy[4] ? { sum: strategy[4].split(',') } : {}) };
+                }
+                return operation;
+            }
+            case 'pop':
+            case 'shift': {
+                // pop [to <路径>]
+                const to = args.match(/^to\s+(\S+)$/);
+                return this._modifyOperation(path, action, to ? to[1] : undefined);
+            }
+            case 'sort':
+            case 'unique': {
+                // sort [字段] [asc|desc]、unique [字段]
+                const parts = args ? args.split(/\s+/) : [];
+                const order = action === 'sort' && ['asc', 'desc'].includes(parts[parts.length - 1]) ? parts.pop() : undefined;
+                const operation = this._modifyOperation(path, action, parts.length ? this._parseValue(parts.join(' ')) : undefined);
+                if (order) operation.order = order;
+                return operation;
+            }
+            default:
+                return this._modifyOperation(path, action, this._parseValue(args));
+        }
+    }
+    
+    /**
+     * 生成 modify 操作：pop/shift 的参数是接收被删除元素的路径，其他操作的参数是值
+     */
+    _modifyOperation(path, action, value) {
+        const operation = { op: 'modify', path, action };
+        if (value === undefined) return operation;
+        if (action === 'pop' || action === 'shift') operation.to = value;
+        else operation.value = value;
+        return operation;
+    }
+    
     /**
      * 执行解析出的操作
      * @param {VariableManager} vm - 变量管理器
@@ -1218,6 +5214,8 @@ class UpdateParser {
 class TemplateEngine {
     constructor(variableManager) {
         this.variableManager = variableManager;
+        // 模板中的掷骰不推进变量中的随机数状态，也不写入历史，预览和重建提示词不会影响之后的结果
+        this.calcEngine = new CalcEngine(variableManager, { dice: new DiceRoller(variableManager, { persist: false }) });
         this.templates = new Map();
         this.cache = new Map();
         this.maxNestingDepth = 10; // 防止无限递归
@@ -1303,7 +5301,10 @@ class TemplateEngine {
         // 4. 处理 switch {{#switch path}}{{#case value}}...{{/case}}{{/switch}}
         result = this._processSwitch(result, context, depth);
         
-        // 5. 处理变量插值 {{path}} 或 {{path | filter}}
+        // 5. 处理掷骰 {{roll 2d6+3}}
+        result = this._processRolls(result);
+        
+        // 6. 处理变量插值 {{path}} 或 {{path | filter}}
         result = this._processVariables(result, context);
         
         return result;
@@ -1417,6 +5418,16 @@ class TemplateEngine {
         });
     }
     
+    /**
+     * 处理掷骰 {{roll 表达式}}，表达式同 calc，如 {{roll 1d20adv + 角色.敏捷}}、{{roll pick(台词)}}
+     */
+    _processRolls(str) {
+        return str.replace(/\{\{roll\s+([^}]+)\}\}/g, (match, expr) => {
+            const value = this.calcEngine.evaluate(expr.trim());
+            return value === null ? '' : String(value);
+        });
+    }
+    
     /**
      * 处理变量插值
      */
@@ -1707,7 +5718,7 @@ class ResponseProcessor {
         
         // 标记模式
         this.markers = {
-            start: '<UpdateVariable>',
+            start: '<UpdateVariable',
             end: '</UpdateVariable>',
         };
     }
@@ -1738,7 +5749,7 @@ class ResponseProcessor {
         const operations = this.parser.parse(response);
         
         // 执行操作
-        const results = this.parser.executeAll(this.vm, operations);
+        const results = this.vm.runWithContext({ source: 'ai' }, () => this.parser.executeAll(this.vm, operations));
         
         // 清理回复（移除更新标记）
         const cleanResponse = this._cleanResponse(response);
@@ -1766,8 +5777,9 @@ class ResponseProcessor {
             const startIdx = this.buffer.indexOf(this.markers.start);
             if (startIdx === -1) break;
             
+            const tagEnd = this.buffer.indexOf('>', startIdx);
             const endIdx = this.buffer.indexOf(this.markers.end);
-            if (endIdx === -1) {
+            if (tagEnd === -1 || endIdx === -1) {
                 // 更新块未完成，隐藏开始标记之后的内容
                 if (this.mode === 'streaming') {
                     displayChunk = this.buffer.slice(0, startIdx);
@@ -1775,21 +5787,18 @@ class ResponseProcessor {
                 break;
             }
             
-            // 提取完整的更新块
-            const blockContent = this.buffer.slice(
-                startIdx + this.markers.start.length,
-                endIdx
-            );
+            // 提取完整的更新块（开始标签中可以带 type="merge" 等属性）
+            const attributes = this.buffer.slice(startIdx + this.markers.start.length, tagEnd);
+            const blockContent = this.buffer.slice(tagEnd + 1, endIdx);
             
             // 解析并执行
             try {
-                const ops = JSON.parse(blockContent.trim());
-                const opsArray = Array.isArray(ops) ? ops : [ops];
+                const opsArray = this.parser.parseBlock(blockContent, attributes);
                 pendingOperations.push(...opsArray);
                 
                 // 立即执行（流式模式）
                 if (this.mode === 'streaming') {
-                    this.parser.executeAll(this.vm, opsArray);
+                    this.vm.runWithContext({ source: 'ai' }, () => this.parser.executeAll(this.vm, opsArray));
                 }
             } catch (e) {
                 console.warn('[EDP] 流式解析失败:', e.message);
@@ -1811,7 +5820,7 @@ class ResponseProcessor {
         // 处理缓冲区中剩余的内容
         const operations = this.parser.parse(this.buffer);
         const results = this.mode === 'background' ?
-            this.parser.executeAll(this.vm, operations) : [];
+            this.vm.runWithContext({ source: 'ai' }, () => this.parser.executeAll(this.vm, operations)) : [];
         
         // 清空缓冲区
         this.buffer = '';
@@ -1829,7 +5838,7 @@ class ResponseProcessor {
      */
     _cleanResponse(response) {
         // 移除 <UpdateVariable>...</UpdateVariable> 块
-        let clean = response.replace(/<UpdateVariable>[\s\S]*?<\/UpdateVariable>/gi, '');
+        let clean = response.replace(/<UpdateVariable(?:\s[^>]*)?>[\s\S]*?<\/UpdateVariable>/gi, '');
         
         // 移除 /data 命令行
         clean = clean.replace(/^\/data\s+\w+.*$/gm, '');
@@ -1875,12 +5884,31 @@ class PromptBuilder {
             instructions += '## 变量系统\n\n';
         }
         
-        // 当前变量值
+        // 当前变量值（描述单独列出）
         if (includeCurrentValues) {
             instructions += '### 当前变量\n';
             instructions += '```json\n';
-            instructions += JSON.stringify(this.vm.statData, null, 2);
+            instructions += JSON.stringify(this._stripDescriptions(this.vm.statData), null, 2);
             instructions += '\n```\n\n';
+            
+            const descriptions = Object.entries(this.vm.getDescriptions());
+            if (descriptions.length > 0) {
+                instructions += '### 变量说明\n';
+                for (const [path, description] of descriptions) {
+                    instructions += `- ${path}: ${description}\n`;
+                }
+                instructions += '\n';
+            }
+            
+            const expiring = this.vm.getExpiring();
+            if (expiring.length > 0) {
+                instructions += '### 限时变量\n';
+                for (const { path, turns, seconds } of expiring) {
+                    const remaining = turns !== undefined ? `${turns} 回合` : `${seconds} 秒`;
+                    instructions += `- ${path}: 剩余 ${remaining}\n`;
+                }
+                instructions += '\n';
+            }
         }
         
         // 语法说明
@@ -1889,21 +5917,46 @@ class PromptBuilder {
             instructions += '使用以下格式更新变量：\n\n';
             instructions += '```\n';
             instructions += '/data set <路径> <值>      # 设置值\n';
+            instructions += '/data set <路径> <值> for <回合数>  # 限时设置，到期自动还原\n';
             instructions += '/data add <路径> <增量>     # 数值增减\n';
             instructions += '/data push <路径> <值>     # 数组追加\n';
             instructions += '/data remove <路径>        # 删除\n';
-            instructions += '```\n\n';
+            instructions += '```\n';
+            instructions += '有说明的变量只需写入新值，说明会自动保留。\n\n';
             instructions += '或使用 JSON 块：\n';
             instructions += '```\n';
             instructions += '<UpdateVariable>\n';
             instructions += '[{"op": "replace", "path": "路径", "value": 值}]\n';
             instructions += '</UpdateVariable>\n';
             instructions += '```\n\n';
+            instructions += '或使用 JSON Merge Patch（null 表示删除）：\n';
+            instructions += '```\n';
+            instructions += '<UpdateVariable type="merge">\n';
+            instructions += '{"路径": {"键": 值, "要删除的键": null}}\n';
+            instructions += '</UpdateVariable>\n';
+            instructions += '```\n\n';
         }
         
         return instructions;
     }
     
+    /**
+     * 去掉 [值, 描述] 中的描述，只保留值
+     */
+    _stripDescriptions(value) {
+        value = this.vm._unwrap(value);
+        if (Array.isArray(value)) return value.map(item => this._stripDescriptions(item));
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, child] of Object.entries(value)) {
+                if (key === '$runtime') continue;
+                result[key] = key === '$meta' ? child : this._stripDescriptions(child);
+            }
+            return result;
+        }
+        return value;
+    }
+    
     /**
      * 构建包含变量的完整提示词
      * @param {string} basePrompt - 基础提示词
@@ -1967,6 +6020,7 @@ class ImportExportManager {
         
         if (includeVariables) {
             data.variables = this.vm.export();
+            data.descriptions = this.vm.getDescriptions();
         }
         
         if (includeTemplates) {
@@ -2005,6 +6059,16 @@ class ImportExportManager {
             }
         }
         
+        // 描述表中的描述覆盖变量自带的描述
+        if (data.descriptions) {
+            for (const [path, description] of Object.entries(data.descriptions)) {
+                const { root, keys } = this.vm._resolve(path);
+                const value = this.vm._getByPath(root, keys);
+                if (value === undefined || keys.length === 0) continue;
+                this.vm._setByPath(root, keys, description ? [this.vm._unwrap(value), description] : this.vm._unwrap(value));
+            }
+        }
+        
         if (data.templates) {
             this.templateEngine.registerTemplates(data.templates);
         }
@@ -2052,6 +6116,399 @@ class ImportExportManager {
     }
 }
 
+// ==================== 聊天状态持久化 ====================
+
+/**
+ * 聊天状态存储 - 将各作用域的变量保存到对应位置
+ * chat 作用域保存到当前聊天的 chat_metadata，character 作用域保存到角色卡扩展字段，
+ * global 作用域保存到扩展设置，temp 作用域不保存
+ * 切换聊天时先把旧状态写回旧聊天，再加载新聊天的状态
+ */
+class ChatStateStore {
+    constructor(variableManager) {
+        this.vm = variableManager;
+        this.metadataKey = extensionName;
+        this.boundMetadata = null; // 当前绑定的聊天元数据对象
+        this.boundChatId = null;
+        this.boundCharacterId = null; // 当前绑定的角色卡（群聊时为 null）
+        this.dirtyScopes = new Set();
+        this.loading = false;
+        this.saveDelay = 200;
+        this.saveTimer = null;
+    }
+    
+    /**
+     * 加载全局作用域
+     */
+    loadGlobal() {
+        const saved = extension_settings[extensionName]?.globalVariables;
+        this.vm.setScope('global', saved ? deepClone(saved) : {});
+    }
+    
+    /**
+     * 绑定到当前活动聊天并加载其变量状态
+     */
+    bind() {
+        // 先把未保存的变化写回之前绑定的聊天
+        this.flush();
+        
+        const context = getContext();
+        const chatId = context.chatId ?? null;
+        this.boundChatId = chatId;
+        this.boundMetadata = chatId ? context.chatMetadata : null;
+        this.boundCharacterId = (context.groupId || context.characterId === undefined) ? null : context.characterId;
+        
+        this.loading = true;
+        try {
+            this.vm.reset();
+            const saved = this.boundMetadata?.[this.metadataKey];
+            if (saved) {
+                this.vm.import(deepClone(saved));
+            }
+            
+            const character = this.boundCharacterId !== null ? context.characters?.[this.boundCharacterId] : null;
+            const characterVariables = character?.data?.extensions?.[extensionName]?.variables;
+            this.vm.setScope('character', character ? deepClone(characterVariables || {}) : null);
+            this.vm.clearScope('temp');
+        } finally {
+            this.loading = false;
+        }
+    }
+    
+    /**
+     * 标记作用域已变化，延迟保存（处理完一条回复时直接 flush，每条回复只导出一次）
+     * @param {string} scope - 'chat' | 'character' | 'global'
+     */
+    scheduleSave(scope = 'chat') {
+        if (this.loading || scope === 'temp') return;
+        if (scope === 'chat' && !this.boundMetadata) return;
+        this.dirtyScopes.add(scope);
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    }
+    
+    /**
+     * 立即保存所有变化过的作用域
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        const dirty = this.dirtyScopes;
+        this.dirtyScopes = new Set();
+        
+        if (dirty.has('chat') && this.boundMetadata) {
+            // 写入绑定时记录的聊天（切换过程中的变化仍属于切换前的聊天）
+            const chatId = this.boundChatId;
+            this.boundMetadata[this.metadataKey] = this.vm.export({ includeHistory: true });
+            
+            // 只有仍是当前聊天时才触发保存，避免把旧聊天的数据写进新聊天
+            if (chatId === getContext().chatId && this.boundMetadata === getContext().chatMetadata) {
+                saveMetadataDebounced();
+            }
+        }
+        
+        if (dirty.has('global')) {
+            extension_settings[extensionName].globalVariables = deepClone(this.vm.getScope('global'));
+            saveSettingsDebounced();
+        }
+        
+        if (dirty.has('character') && this.boundCharacterId !== null && this.vm.getScope('character')) {
+            const variables = deepClone(this.vm.getScope('character'));
+            writeExtensionField(this.boundCharacterId, extensionName, { variables })
+                .catch(e => console.warn('[EDP] 角色卡变量保存失败:', e));
+        }
+    }
+}
+
+// ==================== 消息状态快照 ====================
+
+/**
+ * 消息状态追踪器 - 为每条消息的每个 swipe 保存变量快照
+ * 滑动、重新生成、删除或分支时恢复到对应时间点的状态
+ *
+ * 完整状态作为检查点保存在聊天元数据中（{ [id]: { messageId, state } }），消息上的快照只保存相对检查点的补丁
+ * { $delta: [...], base: id }，读取时只需应用一个补丁；删除消息不会删除检查点，之后的快照仍能还原。
+ * 距检查点超过 checkpointInterval 条消息时创建新的检查点，不再被引用的检查点随之清除
+ */
+class MessageStateTracker {
+    constructor(variableManager, responseProcessor, chatStateStore) {
+        this.vm = variableManager;
+        this.processor = responseProcessor;
+        this.store = chatStateStore;
+        this.stateKey = 'edp_state'; // 消息对象上保存快照的字段 { [swipeId]: state }
+        this.baselineKey = `${extensionName}_baseline`; // 第一条消息之前的初始状态
+        this.checkpointsKey = `${extensionName}_checkpoints`;
+        this.checkpointInterval = 20;
+        this.busy = false;
+        this.syncDelay = 200;
+        this.syncTimer = null;
+    }
+    
+    /**
+     * 消息当前 swipe 是否有快照
+     */
+    hasSnapshot(message) {
+        return Boolean(message?.[this.stateKey]?.[message.swipe_id ?? 0]);
+    }
+    
+    /**
+     * 获取消息当前 swipe 的快照（补丁形式的快照会还原为完整状态）
+     * @param {number} messageId - 消息索引
+     */
+    getSnapshot(messageId) {
+        return this._resolve(messageId);
+    }
+    
+    /**
+     * 将当前状态保存为消息当前 swipe 的快照
+     * @param {number} messageId - 消息索引
+     */
+    saveSnapshot(messageId) {
+        const chat = getContext().chat || [];
+        const message = chat[messageId];
+        if (!message) return;
+        const state = this.vm.export();
+        if (!message[this.stateKey]) message[this.stateKey] = {};
+        
+        const checkpoints = this._checkpoints(true);
+        if (!checkpoints) {
+            message[this.stateKey][message.swipe_id ?? 0] = state;
+            return;
+        }
+        let base = this._checkpointBefore(messageId);
+        if (!base || messageId - checkpoints[base].messageId >= this.checkpointInterval) {
+            base = `${messageId}-${Date.now().toString(36)}`;
+            checkpoints[base] = { messageId, state };
+        }
+        message[this.stateKey][message.swipe_id ?? 0] = {
+            $delta: PatchDiffer.diff(checkpoints[base].state, state, { includeMeta: true, includeRuntime: true, raw: true }),
+            base,
+        };
+        this._pruneCheckpoints();
+    }
+    
+    /**
+     * 获取某条消息之前的状态（向前查找最近能还原的快照，找不到则使用初始状态）
+     * @param {number} messageId - 消息索引
+     * @param {boolean} createBaseline - 没有初始状态时是否用当前状态创建
+     */
+    getStateBefore(messageId, createBaseline = false) {
+        const chat = getContext().chat || [];
+        for (let i = Math.min(messageId, chat.length) - 1; i >= 0; i--) {
+            const state = this._resolve(i);
+            if (state) return state;
+        }
+        
+        const metadata = getContext().chatMetadata;
+        if (!metadata) return null;
+        if (!metadata[this.baselineKey] && createBaseline) {
+            metadata[this.baselineKey] = this.vm.export();
+        }
+        return metadata[this.baselineKey] ?? null;
+    }
+    
+    /**
+     * 还原消息当前 swipe 的快照，检查点丢失或补丁无法应用时返回 null（调用方继续向前查找）
+     */
+    _resolve(messageId) {
+        const message = (getContext().chat || [])[messageId];
+        if (!this.hasSnapshot(message)) return null;
+        const snapshot = message[this.stateKey][message.swipe_id ?? 0];
+        if (!snapshot.$delta) return snapshot;
+        
+        const checkpoint = this._checkpoints()?.[snapshot.base];
+        if (!checkpoint) return null;
+        try {
+            return PatchDiffer.apply(checkpoint.state, snapshot.$delta);
+        } catch (e) {
+            console.warn(`[EDP] 消息 ${messageId} 的快照无法还原:`, e.message);
+            return null;
+        }
+    }
+    
+    /**
+     * 聊天元数据中的检查点
+     * @param {boolean} create - 不存在时是否创建
+     */
+    _checkpoints(create = false) {
+        const metadata = getContext().chatMetadata;
+        if (!metadata) return null;
+        if (!metadata[this.checkpointsKey] && create) metadata[this.checkpointsKey] = {};
+        return metadata[this.checkpointsKey] ?? null;
+    }
+    
+    /**
+     * 之前最近一条快照使用的检查点（该快照是完整状态或检查点已丢失时为 null）
+     */
+    _checkpointBefore(messageId) {
+        const chat = getContext().chat || [];
+        const checkpoints = this._checkpoints() || {};
+        for (let i = Math.min(messageId, chat.length) - 1; i >= 0; i--) {
+            if (!this.hasSnapshot(chat[i])) continue;
+            const base = chat[i][this.stateKey][chat[i].swipe_id ?? 0].base;
+            return base && checkpoints[base] ? base : null;
+        }
+        return null;
+    }
+    
+    /**
+     * 删除没有任何快照（包括未选中的 swipe）引用的检查点
+     */
+    _pruneCheckpoints() {
+        const checkpoints = this._checkpoints();
+        if (!checkpoints) return;
+        const used = new Set();
+        for (const message of getContext().chat || []) {
+            for (const snapshot of Object.values(message?.[this.stateKey] || {})) {
+                if (snapshot?.base) used.add(snapshot.base);
+            }
+        }
+        for (const id of Object.keys(checkpoints)) {
+            if (!used.has(id)) delete checkpoints[id];
+        }
+    }
+    
+    /**
+     * 获取聊天末尾对应的状态
+     */
+    getLatestState() {
+        const chat = getContext().chat || [];
+        return this.getStateBefore(chat.length);
+    }
+    
+    /**
+     * 恢复到指定状态
+     */
+    restore(state) {
+        if (!state) return;
+        clearTimeout(this.syncTimer);
+        this.busy = true;
+        try {
+            // 快照不含变化历史，import 会保留现有历史
+            this.vm.import(deepClone(state));
+            this.pruneHistory();
+        } finally {
+            this.busy = false;
+        }
+        this.store.scheduleSave();
+    }
+    
+    /**
+     * 丢弃不属于当前聊天路线的变化历史（已删除的消息、未选中的 swipe）
+     * @param {number} fromMessageId - 同时丢弃该消息及之后的历史
+     */
+    pruneHistory(fromMessageId = Infinity) {
+        const chat = getContext().chat || [];
+        this.vm.changeLog.prune(entry => {
+            if (entry.messageId === null || entry.messageId === undefined) return true;
+            if (entry.messageId >= fromMessageId) return false;
+            const message = chat[entry.messageId];
+            return Boolean(message) && (message.swipe_id ?? 0) === (entry.swipeId ?? 0);
+        });
+    }
+    
+    /**
+     * 处理收到的 AI 消息：从上一时间点的状态出发执行其中的变量命令
+     * @param {number} messageId - 消息索引
+     */
+    processMessage(messageId) {
+        const message = (getContext().chat || [])[messageId];
+        if (!message || message.is_user || message.is_system) return null;
+        
+        this.restore(this.getStateBefore(messageId, true));
+        this.pruneHistory(messageId);
+        
+        this.busy = true;
+        let result;
+        try {
+            this.vm.clearDelta();
+            const swipeId = message.swipe_id ?? 0;
+            // 随机数状态随快照恢复，同一回复重新处理时掷出相同结果；开启后每个 swipe 换一组结果
+            if (extension_settings[extensionName]?.rerollOnSwipe && swipeId > 0) {
+                this.vm.dice.reseed(swipeId);
+            }
+            const context = { source: 'ai', messageId, swipeId };
+            // 先进入新回合（到期的限时变量在本条消息的 delta 中体现），再执行回复中的命令
+            result = this.vm.runWithContext(context, () => {
+                this.vm.advanceTurn();
+                return this.processor.processComplete(message.mes || '');
+            });
+            this.saveSnapshot(messageId);
+        } finally {
+            this.busy = false;
+        }
+        
+        // 回复处理完立即写回，不等延迟保存（避免在此期间切换聊天）
+        this.store.scheduleSave();
+        this.store.flush();
+        saveChatDebounced();
+        return result;
+    }
+    
+    /**
+     * 消息被滑动：已有快照则恢复，否则回到该消息之前的状态等待新回复
+     */
+    onMessageSwiped(messageId) {
+        const message = (getContext().chat || [])[messageId];
+        if (!message) return;
+        this.restore(this.getSnapshot(messageId) || this.getStateBefore(messageId));
+    }
+    
+    /**
+     * 消息被删除（含重新生成）：恢复到剩余聊天末尾的状态
+     */
+    onMessageDeleted() {
+        this.restore(this.getLatestState());
+    }
+    
+    /**
+     * 最后一条消息被编辑：重新计算它的变量更新
+     */
+    onMessageEdited(messageId) {
+        const chat = getContext().chat || [];
+        if (messageId !== chat.length - 1) return;
+        this.processMessage(messageId);
+    }
+    
+    /**
+     * 聊天切换（含分支）：以聊天末尾的快照为准
+     */
+    onChatChanged() {
+        const chat = getContext().chat || [];
+        for (let i = chat.length - 1; i >= 0; i--) {
+            const snapshot = this.getSnapshot(i);
+            if (snapshot) {
+                this.restore(snapshot);
+                return;
+            }
+        }
+    }
+    
+    /**
+     * 非 AI 回复引起的变化（手动编辑、脚本 API）同步到最新快照
+     */
+    scheduleSync() {
+        if (this.busy) return;
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.syncLatest(), this.syncDelay);
+    }
+    
+    syncLatest() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = null;
+        
+        const context = getContext();
+        const chat = context.chat || [];
+        const last = chat[chat.length - 1];
+        if (this.hasSnapshot(last)) {
+            this.saveSnapshot(chat.length - 1);
+            saveChatDebounced();
+        } else if (context.chatMetadata?.[this.baselineKey] && !chat.some(m => this.hasSnapshot(m))) {
+            context.chatMetadata[this.baselineKey] = this.vm.export();
+        }
+    }
+}
+
 // ==================== 全局实例 ====================
 
 const variableManager = new VariableManager();
@@ -2061,6 +6518,8 @@ const lorebookAdapter = new LorebookAdapter(variableManager, templateEngine);
 const responseProcessor = new ResponseProcessor(variableManager, updateParser);
 const promptBuilder = new PromptBuilder(variableManager, templateEngine, lorebookAdapter);
 const importExportManager = new ImportExportManager(variableManager, templateEngine, lorebookAdapter);
+const chatStateStore = new ChatStateStore(variableManager);
+const messageStateTracker = new MessageStateTracker(variableManager, responseProcessor, chatStateStore);
 
 // ==================== UI 相关 ====================
 
@@ -2080,6 +6539,12 @@ async function loadSettings() {
     $("#edp_enabled").prop("checked", extension_settings[extensionName].enabled);
     $("#edp_auto_update").prop("checked", extension_settings[extensionName].autoUpdate);
     $("#edp_debug_mode").prop("checked", extension_settings[extensionName].debugMode);
+    $("#edp_reroll_on_swipe").prop("checked", extension_settings[extensionName].rerollOnSwipe);
+    
+    // 数值运算精度（null 表示不取整）
+    const precision = extension_settings[extensionName].numberPrecision;
+    variableManager.setPrecision(precision === undefined ? defaultSettings.numberPrecision : precision);
+    $("#edp_number_precision").val(variableManager.precision ?? '');
     
     // 设置响应处理器模式
     responseProcessor.setMode(extension_settings[extensionName].updateMode || 'streaming');
@@ -2175,19 +6640,26 @@ function renderVariableTree(obj, path, depth = 0) {
     }
     
     let html = '';
-    const entries = Object.entries(obj).filter(([key]) => key !== '$meta');
+    const entries = Object.entries(obj).filter(([key]) => key !== '$meta' && key !== '$runtime');
     
     if (entries.length === 0) {
         return '<div class="edp-empty">空对象</div>';
     }
     
-    for (const [key, value] of entries) {
+    for (let [key, value] of entries) {
         const newPath = path ? `${path}.${key}` : key;
         const escapedKey = escapeHtml(key);
         
+        // [值, 描述] 显示为带描述的变量
+        let description = '';
+        if (variableManager._isTuple(value)) {
+            [value, description] = value;
+        }
+        const descHtml = description ? ` <span class="edp-var-desc" title="描述">${escapeHtml(description)}</span>` : '';
+        
         if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
             html += `<div class="edp-var-group" style="padding-left: ${depth * 16}px">
-                <span class="edp-var-key edp-collapsible" onclick="EDP_UI.toggleGroup(this)">📁 ${escapedKey}</span>
+                <span class="edp-var-key edp-collapsible" onclick="EDP_UI.toggleGroup(this)">📁 ${escapedKey}</span>${descHtml}
                 <span class="edp-var-actions">
                     <button class="edp-btn-tiny" onclick="EDP_UI.addVariable('${newPath}')" title="添加子项">+</button>
                 </span>
@@ -2197,7 +6669,7 @@ function renderVariableTree(obj, path, depth = 0) {
             html += `</div>`;
         } else if (Array.isArray(value)) {
             html += `<div class="edp-var-group" style="padding-left: ${depth * 16}px">
-                <span class="edp-var-key edp-collapsible" onclick="EDP_UI.toggleGroup(this)">📋 ${escapedKey} [${value.length}]</span>
+                <span class="edp-var-key edp-collapsible" onclick="EDP_UI.toggleGroup(this)">📋 ${escapedKey} [${value.length}]</span>${descHtml}
                 <span class="edp-var-actions">
                     <button class="edp-btn-tiny" onclick="EDP_UI.pushToArray('${newPath}')" title="追加元素">+</button>
                 </span>
@@ -2223,9 +6695,10 @@ function renderVariableTree(obj, path, depth = 0) {
             const escapedValue = escapeHtml(JSON.stringify(value));
             html += `<div class="edp-var-item" style="padding-left: ${depth * 16}px" data-path="${newPath}">
                 <span class="edp-var-key">${escapedKey}</span>:
-                <span class="edp-var-value">${escapedValue}</span>
+                <span class="edp-var-value">${escapedValue}</span>${descHtml}
                 <span class="edp-var-actions">
                     <button class="edp-btn-tiny" onclick="EDP_UI.editVariable('${newPath}')" title="编辑">✏️</button>
+                    <button class="edp-btn-tiny" onclick="EDP_UI.editDescription('${newPath}')" title="编辑描述">📝</button>
                     <button class="edp-btn-tiny" onclick="EDP_UI.removeVariable('${newPath}')" title="删除">🗑️</button>
                 </span>
             </div>`;
@@ -2401,6 +6874,7 @@ function importData() {
             const text = await file.text();
             const result = importExportManager.importFromJSON(text);
             if (result.success) {
+                chatStateStore.scheduleSave();
                 refreshVariableTree();
                 refreshTemplateList();
                 alert('导入成功！');
@@ -2421,6 +6895,13 @@ function exportData() {
     importExportManager.downloadExport('edp-export.json');
 }
 
+/**
+ * 以用户身份执行变量操作（记录到变化历史的来源）
+ */
+function runAsUser(fn) {
+    return variableManager.runWithContext({ source: 'user' }, fn);
+}
+
 // UI 操作对象（暴露给 onclick）
 const EDP_UI = {
     toggleGroup(element) {
@@ -2445,16 +6926,25 @@ const EDP_UI = {
         if (newValue !== null) {
             try {
                 const parsed = JSON.parse(newValue);
-                variableManager.set(path, parsed);
+                runAsUser(() => variableManager.set(path, parsed));
                 refreshVariableTree();
             } catch {
                 // 如果不是有效 JSON，当作字符串
-                variableManager.set(path, newValue);
+                runAsUser(() => variableManager.set(path, newValue));
                 refreshVariableTree();
             }
         }
     },
     
+    editDescription(path) {
+        const current = variableManager.getDescription(path) ?? '';
+        const description = prompt(`编辑 ${path} 的描述（留空则去掉描述）:`, current);
+        if (description !== null) {
+            runAsUser(() => variableManager.setDescription(path, description.trim()));
+            refreshVariableTree();
+        }
+    },
+    
     addVariable(parentPath) {
         const key = prompt('输入新变量名:');
         if (key) {
@@ -2462,9 +6952,9 @@ const EDP_UI = {
             if (value !== null) {
                 try {
                     const parsed = JSON.parse(value);
-                    variableManager.set(`${parentPath}.${key}`, parsed);
+                    runAsUser(() => variableManager.set(`${parentPath}.${key}`, parsed));
                 } catch {
-                    variableManager.set(`${parentPath}.${key}`, value);
+                    runAsUser(() => variableManager.set(`${parentPath}.${key}`, value));
                 }
                 refreshVariableTree();
             }
@@ -2476,9 +6966,9 @@ const EDP_UI = {
         if (value !== null) {
             try {
                 const parsed = JSON.parse(value);
-                variableManager.push(path, parsed);
+                runAsUser(() => variableManager.push(path, parsed));
             } catch {
-                variableManager.push(path, value);
+                runAsUser(() => variableManager.push(path, value));
             }
             refreshVariableTree();
         }
@@ -2486,7 +6976,7 @@ const EDP_UI = {
     
     removeVariable(path) {
         if (confirm(`确定删除 ${path}?`)) {
-            variableManager.remove(path);
+            runAsUser(() => variableManager.remove(path));
             refreshVariableTree();
         }
     },
@@ -2513,6 +7003,14 @@ jQuery(async () => {
     $("#edp_enabled").on("input", onSettingChange("enabled"));
     $("#edp_auto_update").on("input", onSettingChange("autoUpdate"));
     $("#edp_debug_mode").on("input", onSettingChange("debugMode"));
+    $("#edp_reroll_on_swipe").on("input", onSettingChange("rerollOnSwipe"));
+    $("#edp_number_precision").on("change", (event) => {
+        const text = String($(event.target).val()).trim();
+        const precision = text === '' ? null : parseInt(text, 10);
+        variableManager.setPrecision(precision);
+        extension_settings[extensionName].numberPrecision = variableManager.precision;
+        saveSettingsDebounced();
+    });
     
     // 绑定按钮事件
     $("#edp_open_panel").on("click", openMainPanel);
@@ -2522,6 +7020,14 @@ jQuery(async () => {
     $("#edp_new_template").on("click", createNewTemplate);
     $("#edp_save").on("click", saveCurrentTemplate);
     $("#edp_refresh_vars").on("click", refreshVariableTree);
+    $("#edp_undo").on("click", () => {
+        runAsUser(() => variableManager.undo());
+        refreshVariableTree();
+    });
+    $("#edp_redo").on("click", () => {
+        runAsUser(() => variableManager.redo());
+        refreshVariableTree();
+    });
     
     // 导入导出
     $("#edp_import").on("click", importData);
@@ -2551,10 +7057,55 @@ jQuery(async () => {
     
     // 监听变量变化事件
     document.addEventListener('edp_variable_changed', (e) => {
-        const { path, oldValue, newValue, reason } = e.detail;
+        const { path, scope, oldValue, newValue, reason } = e.detail;
         if (extension_settings[extensionName]?.debugMode) {
             console.log(`[EDP] 变量变化: ${path} = ${oldValue} → ${newValue}` + (reason ? ` (${reason})` : ''));
         }
+        chatStateStore.scheduleSave(scope);
+        if (scope === 'chat') {
+            messageStateTracker.scheduleSync();
+        }
+        refreshVariableTree();
+    });
+    
+    // 聊天切换时加载对应聊天的变量状态
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        chatStateStore.bind();
+        messageStateTracker.onChatChanged();
+        refreshVariableTree();
+    });
+    chatStateStore.loadGlobal();
+    chatStateStore.bind();
+    messageStateTracker.onChatChanged();
+    
+    // 每次生成开始时清空临时作用域
+    eventSource.on(event_types.GENERATION_STARTED, () => {
+        variableManager.clearScope('temp');
+        // 按真实时间计时的限时变量在生成前检查
+        variableManager.expireVariables();
+    });
+    
+    // AI 回复处理与消息快照
+    const isAutoUpdateEnabled = () => {
+        const settings = extension_settings[extensionName];
+        return Boolean(settings?.enabled && settings?.autoUpdate);
+    };
+    eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => {
+        if (!isAutoUpdateEnabled()) return;
+        messageStateTracker.processMessage(Number(messageId));
+        refreshVariableTree();
+    });
+    eventSource.on(event_types.MESSAGE_EDITED, (messageId) => {
+        if (!isAutoUpdateEnabled()) return;
+        messageStateTracker.onMessageEdited(Number(messageId));
+        refreshVariableTree();
+    });
+    eventSource.on(event_types.MESSAGE_SWIPED, (messageId) => {
+        messageStateTracker.onMessageSwiped(Number(messageId));
+        refreshVariableTree();
+    });
+    eventSource.on(event_types.MESSAGE_DELETED, () => {
+        messageStateTracker.onMessageDeleted();
         refreshVariableTree();
     });
     
@@ -2578,6 +7129,8 @@ window.EasyDynamicPrompts = {
     responseProcessor,
     promptBuilder,
     importExportManager,
+    chatStateStore,
+    messageStateTracker,
     
     // 核心类
     VariableManager,
@@ -2586,17 +7139,28 @@ window.EasyDynamicPrompts = {
     
     // 新增核心类（Minecraft + JSON Patch 风格）
     PathParser,
+    PathSlice,
     ConditionEvaluator,
     CalcEngine,
+    CalcParser,
+    DiceRoller,
     OperationExecutor,
     BatchExecutor,
     SchemaValidator,
+    OperationJournal,
+    JsonSchemaConverter,
+    PatchDiffer,
+    ComputedRegistry,
+    RuleEngine,
+    ChangeLog,
     
     // 适配器和处理器类
     LorebookAdapter,
     ResponseProcessor,
     PromptBuilder,
     ImportExportManager,
+    ChatStateStore,
+    MessageStateTracker,
     
     // 工具函数
     deepClone,